@@ -0,0 +1,176 @@
+/**
+ * アクティビティ表示モジュール
+ * コミットのヒートマップと最近のアクティビティをSVGで描画する（グラフライブラリ不使用）
+ */
+
+// ヒートマップの描画設定
+const ACTIVITY_CHART = {
+    CELL_SIZE: 11,     // 1日分のマスの大きさ（px）
+    CELL_GAP: 3,       // マスの間隔（px）
+    LABEL_WIDTH: 28,   // 曜日ラベルの幅（px）
+    LABEL_HEIGHT: 16,  // 月ラベルの高さ（px）
+    LEVELS: 4,         // 件数の段階数（0件を除く）
+    WEEKDAY_LABELS: ['', '月', '', '水', '', '金', ''],
+    // アクティビティ種別ごとのアイコン（16x16、線で描画）
+    ICON_PATHS: {
+        'push': 'M1 8h4.5M10.5 8H15M8 5.5a2.5 2.5 0 1 0 0 5 2.5 2.5 0 1 0 0-5z',
+        'release': 'M2 2h6l6 6-6 6-6-6zM5.5 5.5h.01',
+        'pull-request': 'M4 3v10M12 13V6a2 2 0 0 0-2-2H7M9 2 7 4l2 2',
+        'merge': 'M4 2v12M4 5c0 3 3 5 8 5'
+    }
+};
+
+/**
+ * アクティビティ描画クラス
+ */
+class ActivityRenderer {
+    /**
+     * コミットのヒートマップをSVGで生成
+     * 列が週（日曜始まり）、行が曜日のカレンダー形式
+     * @param {Array<{date: string, count: number}>} days - 古い順の日別件数（先頭は日曜日）
+     * @returns {string} ヒートマップのHTML（SVGと凡例）
+     */
+    renderHeatmap(days) {
+        const { CELL_SIZE, CELL_GAP, LABEL_WIDTH, LABEL_HEIGHT, WEEKDAY_LABELS } = ACTIVITY_CHART;
+        const step = CELL_SIZE + CELL_GAP;
+        const weekCount = Math.ceil(days.length / 7);
+        const width = LABEL_WIDTH + weekCount * step;
+        const height = LABEL_HEIGHT + 7 * step;
+        const max = Math.max(0, ...days.map(day => day.count));
+        const total = days.reduce((sum, day) => sum + day.count, 0);
+
+        const cells = days.map((day, index) => {
+            const x = LABEL_WIDTH + Math.floor(index / 7) * step;
+            const y = LABEL_HEIGHT + (index % 7) * step;
+            const level = this.getLevel(day.count, max);
+            return `<rect class="activity-heatmap__cell activity-heatmap__cell--level-${level}" x="${x}" y="${y}" width="${CELL_SIZE}" height="${CELL_SIZE}" rx="2"><title>${this.formatDay(day.date)}: ${day.count}件</title></rect>`;
+        });
+
+        const weekdayLabels = WEEKDAY_LABELS.map((label, index) => label ?
+            `<text class="activity-heatmap__label" x="0" y="${LABEL_HEIGHT + index * step + CELL_SIZE - 1}">${label}</text>` :
+            ''
+        );
+
+        return `
+            <div class="activity-heatmap">
+                <svg class="activity-heatmap__svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="直近1年間のコミット数（合計${total}件）">
+                    ${this.renderMonthLabels(days, step).join('')}
+                    ${weekdayLabels.join('')}
+                    ${cells.join('')}
+                </svg>
+                <div class="activity-heatmap__legend" aria-hidden="true">
+                    <span>少</span>
+                    ${this.renderLegendCells().join('')}
+                    <span>多</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 最近のアクティビティ一覧を生成
+     * @param {Array<{type: string, repo: string, title: string, url: string, date: Date}>} items - アクティビティ
+     * @returns {string} 一覧のHTML
+     */
+    renderFeed(items) {
+        return `
+            <ol class="activity-feed">
+                ${items.map(item => `
+                    <li class="activity-feed__item activity-feed__item--${escapeHtml(item.type)}">
+                        ${this.renderIcon(item.type)}
+                        <div class="activity-feed__body">
+                            <a href="${escapeHtml(item.url)}" class="activity-feed__title" target="_blank" rel="noopener noreferrer">${escapeHtml(item.title)}</a>
+                            <span class="activity-feed__meta">
+                                ${escapeHtml(item.repo)} · <time datetime="${escapeHtml(item.date.toISOString())}">${formatDate(item.date, 'YYYY/MM/DD')}</time>
+                            </span>
+                        </div>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * 件数を色の段階に変換
+     * @private
+     * @param {number} count - 件数
+     * @param {number} max - 期間中の最大件数
+     * @returns {number} 段階（0〜LEVELS）
+     */
+    getLevel(count, max) {
+        if (count <= 0 || max <= 0) return 0;
+        return Math.max(1, Math.ceil((count / max) * ACTIVITY_CHART.LEVELS));
+    }
+
+    /**
+     * 月ラベルを生成（各月の最初の週の列に表示）
+     * @private
+     * @param {Array<{date: string}>} days - 日別件数
+     * @param {number} step - 1列の幅
+     * @returns {Array<string>} text要素の配列
+     */
+    renderMonthLabels(days, step) {
+        const labels = [];
+        let previousMonth = null;
+
+        for (let index = 0; index < days.length; index += 7) {
+            const month = Number(days[index].date.slice(5, 7));
+            // 最初の列は月の途中から始まることが多いため、月が変わった列から表示する
+            if (previousMonth !== null && month !== previousMonth) {
+                const x = ACTIVITY_CHART.LABEL_WIDTH + (index / 7) * step;
+                labels.push(`<text class="activity-heatmap__label" x="${x}" y="${ACTIVITY_CHART.LABEL_HEIGHT - 5}">${month}月</text>`);
+            }
+            previousMonth = month;
+        }
+
+        return labels;
+    }
+
+    /**
+     * 凡例のマスを生成
+     * @private
+     * @returns {Array<string>} SVG要素の配列
+     */
+    renderLegendCells() {
+        const size = ACTIVITY_CHART.CELL_SIZE;
+        const cells = [];
+
+        for (let level = 0; level <= ACTIVITY_CHART.LEVELS; level++) {
+            cells.push(`<svg width="${size}" height="${size}"><rect class="activity-heatmap__cell activity-heatmap__cell--level-${level}" width="${size}" height="${size}" rx="2"></rect></svg>`);
+        }
+
+        return cells;
+    }
+
+    /**
+     * アクティビティ種別のアイコンを生成
+     * @private
+     * @param {string} type - アクティビティ種別
+     * @returns {string} SVGアイコン
+     */
+    renderIcon(type) {
+        const path = ACTIVITY_CHART.ICON_PATHS[type] || ACTIVITY_CHART.ICON_PATHS.push;
+        return `<svg class="activity-feed__icon" viewBox="0 0 16 16" width="16" height="16" aria-hidden="true"><path d="${path}"></path></svg>`;
+    }
+
+    /**
+     * 日付文字列（YYYY-MM-DD）を表示用に変換
+     * @private
+     * @param {string} date - 日付文字列
+     * @returns {string} 表示用の日付
+     */
+    formatDay(date) {
+        return date.replace(/-/g, '/');
+    }
+}
+
+// グローバルインスタンス
+const activityRenderer = new ActivityRenderer();
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ActivityRenderer,
+        activityRenderer
+    };
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * APIレスポンス永続キャッシュモジュール
+ * ページ再読み込み後もレスポンスとETag/Last-Modifiedを保持する
+ */
+
+/**
+ * 永続キャッシュストアクラス
+ * localStorageが使えない環境（プライベートモード等）ではメモリのみで動作する
+ */
+class ApiCacheStore {
+    /**
+     * @param {string} namespace - localStorageキーの接頭辞
+     */
+    constructor(namespace = 'portfolio-api-cache:') {
+        this.namespace = namespace;
+        // メモリ上のキャッシュ（localStorageの読み込み回数を減らす）
+        this.memory = new Map();
+        this.storage = this.detectStorage();
+    }
+
+    /**
+     * 利用可能なlocalStorageを検出
+     * @private
+     * @returns {Storage|null} 利用可能なストレージまたはnull
+     */
+    detectStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return null;
+
+            const testKey = `${this.namespace}__test__`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return localStorage;
+        } catch {
+            logger.warn('api', 'APIキャッシュ: localStorageが利用できないためメモリキャッシュのみ使用します');
+            return null;
+        }
+    }
+
+    /**
+     * キャッシュエントリを取得
+     * @param {string} key - キャッシュキー（通常はリクエストURL）
+     * @returns {Object|null} キャッシュエントリまたはnull
+     */
+    get(key) {
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.namespace + key);
+            if (!raw) return null;
+
+            const entry = JSON.parse(raw);
+            this.memory.set(key, entry);
+            return entry;
+        } catch (error) {
+            logger.warn('api', `APIキャッシュ: 読み込みに失敗 (${key})`, error);
+            return null;
+        }
+    }
+
+    /**
+     * キャッシュエントリを保存
+     * @param {string} key - キャッシュキー
+     * @param {Object} entry - 保存する内容（data, etag, lastModified など）
+     * @returns {void}
+     */
+    set(key, entry) {
+        const record = { ...entry, timestamp: Date.now() };
+        this.memory.set(key, record);
+        this.persist(key, record);
+    }
+
+    /**
+     * エントリの取得時刻のみ更新（304 Not Modified 受信時）
+     * @param {string} key - キャッシュキー
+     * @returns {void}
+     */
+    touch(key) {
+        const entry = this.get(key);
+        if (!entry) return;
+
+        entry.timestamp = Date.now();
+        delete entry.expired;
+        this.memory.set(key, entry);
+        this.persist(key, entry);
+    }
+
+    /**
+     * エントリを削除
+     * @param {string} key - キャッシュキー
+     * @returns {void}
+     */
+    delete(key) {
+        this.memory.delete(key);
+        if (this.storage) {
+            this.storage.removeItem(this.namespace + key);
+        }
+    }
+
+    /**
+     * キャッシュキーが条件に一致するエントリを期限切れにする
+     * 内容・ETagは残すため、次回は条件付きリクエストで再検証し、失敗時は期限切れのデータとして使用できる
+     * @param {Function} predicate - (key) => boolean
+     * @returns {void}
+     */
+    expireWhere(predicate) {
+        const keys = new Set([...this.memory.keys()].filter(key => predicate(key)));
+        if (this.storage) {
+            this.storageKeys()
+                .map(storageKey => storageKey.slice(this.namespace.length))
+                .filter(key => predicate(key))
+                .forEach(key => keys.add(key));
+        }
+
+        keys.forEach(key => {
+            const entry = this.get(key);
+            if (!entry) return;
+
+            entry.expired = true;
+            this.memory.set(key, entry);
+            this.persist(key, entry);
+        });
+    }
+
+    /**
+     * 名前空間内の全エントリを削除
+     * @returns {void}
+     */
+    clear() {
+        this.memory.clear();
+        if (!this.storage) return;
+
+        this.storageKeys().forEach(storageKey => {
+            this.storage.removeItem(storageKey);
+        });
+    }
+
+    /**
+     * エントリが有効期限内かどうか判定
+     * @param {Object} entry - キャッシュエントリ
+     * @param {number} maxAge - 有効期間（ミリ秒）
+     * @returns {boolean} 有効期限内かどうか
+     */
+    isFresh(entry, maxAge) {
+        return Boolean(entry) && !entry.expired && Date.now() - entry.timestamp <= maxAge;
+    }
+
+    /**
+     * localStorageへ書き込み
+     * 容量超過時は名前空間内のキャッシュを破棄して1回だけ再試行する
+     * @private
+     * @param {string} key - キャッシュキー
+     * @param {Object} entry - 保存するエントリ
+     * @returns {void}
+     */
+    persist(key, entry) {
+        if (!this.storage) return;
+
+        const storageKey = this.namespace + key;
+        const serialized = JSON.stringify(entry);
+
+        try {
+            this.storage.setItem(storageKey, serialized);
+        } catch (error) {
+            logger.warn('api', 'APIキャッシュ: 保存に失敗したため古いキャッシュを破棄します', error);
+            this.storageKeys().forEach(existingKey => this.storage.removeItem(existingKey));
+
+            try {
+                this.storage.setItem(storageKey, serialized);
+            } catch {
+                // メモリキャッシュのみで継続
+            }
+        }
+    }
+
+    /**
+     * 名前空間に属するlocalStorageキーの一覧
+     * @private
+     * @returns {Array<string>} ストレージキーの配列
+     */
+    storageKeys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (storageKey && storageKey.startsWith(this.namespace)) {
+                keys.push(storageKey);
+            }
+        }
+        return keys;
+    }
+}
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ApiCacheStore
+    };
+}
\ No newline at end of file
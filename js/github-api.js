@@ -5,158 +5,1657 @@
 
 // GitHub API設定
 const GITHUB_CONFIG = {
-    USERNAME: 'purplehoge',
+    USERNAME: 'purplehoge', // プロフィールの所有者（ピン留め・アクティビティの取得対象）
+    // リポジトリの取得元となるユーザー・組織（結果は1つの一覧に統合して並び替える）
+    ACCOUNTS: [
+        { type: 'user', login: 'purplehoge' }
+        // { type: 'org', login: 'team-org' }
+    ],
+    // REST APIの接続先。ローカルプロキシ（scripts/github-proxy.js）経由にする場合は 'http://127.0.0.1:8787'
     API_BASE_URL: 'https://api.github.com',
-    CACHE_DURATION: 3600000, // 1時間（ミリ秒）
+    CACHE_DURATION: 3600000, // 1時間（ミリ秒）。経過後は条件付きリクエストで再検証
+    CACHE_NAMESPACE: 'github-api-cache:', // 永続キャッシュのlocalStorageキー接頭辞
+    SNAPSHOT_URL: 'data/projects.snapshot.json', // ビルド時に生成するスナップショット（scripts/build-snapshot.js）
+    // オフライン用のフィクスチャ（scripts/github-proxy.js --fixtures と同じファイルを使用）
+    // URLパラメータ ?fixtures（再生）・?fixtures=record（記録）・?fixtures={シナリオ名}（エラーを重ねて再生）でも切り替えられる
+    FIXTURE_MODE: null,       // 'replay'（記録済みのレスポンスで応答）| 'record'（実際のレスポンスを記録）| null
+    FIXTURE_SCENARIO: null,   // 再生時に重ねるシナリオ名（fixtures/scenarios/{名前}.json）
+    FIXTURE_PARAM: 'fixtures',
+    FIXTURES_URL: 'fixtures/github',
+    FIXTURE_SCENARIOS_URL: 'fixtures/scenarios',
     RATE_LIMIT_DELAY: 1000,  // 1秒間隔
-    MAX_REPOS: 10,
-    EXCLUDED_REPOS: [
+    MAX_RETRIES: 3,          // 一時的な失敗時の再試行回数
+    RETRY_BASE_DELAY: 1000,  // 再試行の初期待機時間（指数的に増加）
+    RETRY_MAX_DELAY: 30000,  // 再試行で待機する最大時間。これを超える場合は再試行しない
+    REQUEST_TIMEOUT: 10000,  // 1回のリクエストのタイムアウト（ミリ秒）。超えた場合は通信失敗として再試行する
+    PER_PAGE: 100,           // 1リクエストあたりの取得件数（APIの上限は100）
+    MAX_PAGES: 10,           // ページネーションの安全上限
+    MAX_REPOS: 60,           // 一覧に含める件数の上限（フィルタ・並び替え後に適用。表示は CONFIG.PROJECTS_PAGE_SIZE 件ずつ）
+    PREVIEW_IMAGE_PATH: '.github/preview.png', // リポジトリ内のプレビュー画像の規約パス
+    PREVIEW_TOPIC: 'preview',                  // 規約パスに画像があることを示すトピック
+    USE_OPENGRAPH_IMAGE: true,                 // GitHubのOpenGraph画像を候補に含めるか
+    VERIFY_DEMOS: true,        // GitHub Pages APIでデモURLを検証するか
+    PROBE_HOMEPAGE: false,     // homepageにHEADリクエストして到達確認するか
+    DEMO_PROBE_TIMEOUT: 5000,  // 到達確認のタイムアウト（ミリ秒）
+    FETCH_LANGUAGES: true,   // 表示するリポジトリごとに言語構成を取得するか
+    UNAUTHENTICATED_RATE_LIMIT: 60, // 未認証時の1時間あたりの上限（これを超える上限が返された場合は認証済みとみなす）
+    MAX_LANGUAGES: 5,        // 言語バーに個別表示する言語数（残りは「その他」にまとめる）
+    // プロフィールのピン留めリポジトリ（GraphQL API）。トークンかプロキシが設定されている場合のみ使用し、
+    // 未設定・取得失敗時は isFeaturedRepo() の判定にフォールバックする
+    USE_PINNED_REPOS: true,
+    GRAPHQL_URL: 'https://api.github.com/graphql',
+    GRAPHQL_TOKEN: null,      // 公開サイトに埋め込まれるため、権限なしの読み取り専用トークンのみ指定すること
+    GRAPHQL_PROXY_URL: null,  // トークンを付与して中継するプロキシのURL（例: 'http://127.0.0.1:8787/graphql'。指定時はトークンを送信しない）
+    MAX_PINNED: 6,            // GitHubのピン留め上限
+    FETCH_RELEASES: true,      // 表示するカードの最新リリース・詳細ビューのリリース一覧を取得するか
+    MAX_RELEASES: 10,          // リポジトリごとに取得するリリース数（詳細ビューのタイムライン）
+    WHATS_NEW_LIMIT: 5,        // 全プロジェクトの新着リリースの表示件数
+    FETCH_ACTIVITY: true,      // Activityセクション用に公開イベント・コミット推移を取得するか
+    ACTIVITY_EVENT_PAGES: 3,   // 公開イベントの取得ページ数（APIの上限は300件・90日分）
+    ACTIVITY_WEEKS: 52,        // ヒートマップに表示する週数
+    ACTIVITY_FEED_LIMIT: 10,   // 最近のアクティビティの表示件数
+    ACTIVITY_MAX_REPOS: 10,    // コミット推移を取得するリポジトリ数の上限（直近にプッシュした順）
+    EXCLUDED_REPOS: [          // 除外するリポジトリ名（文字列は完全一致、正規表現はリポジトリ名に照合）
         'purplehoge', // プロフィールリポジトリは除外
-        'README'      // README専用リポジトリは除外
+        '.github',    // 組織のプロフィールリポジトリは除外
+        /readme/i,    // README専用リポジトリは除外
+        /config/i     // 設定ファイル専用リポジトリは除外
     ]
 };
 
+// 言語バーの表示色（GitHub Linguistの配色に準拠）
+const LANGUAGE_COLORS = {
+    'JavaScript': '#f1e05a',
+    'TypeScript': '#3178c6',
+    'HTML': '#e34c26',
+    'CSS': '#563d7c',
+    'SCSS': '#c6538c',
+    'Vue': '#41b883',
+    'Python': '#3572A5',
+    'Java': '#b07219',
+    'Go': '#00ADD8',
+    'Rust': '#dea584',
+    'Ruby': '#701516',
+    'PHP': '#4F5D95',
+    'C': '#555555',
+    'C++': '#f34b7d',
+    'C#': '#178600',
+    'Shell': '#89e051',
+    'Dockerfile': '#384d54',
+    'Kotlin': '#A97BFF',
+    'Swift': '#F05138',
+    'Dart': '#00B4AB'
+};
+
+// プロジェクトの状態
+const PROJECT_STATUSES = ['wip', 'completed', 'archived'];
+
+// 配色が定義されていない言語・「その他」の表示色
+const DEFAULT_LANGUAGE_COLOR = '#95a5a6';
+
 /**
  * GitHub API クライアントクラス
  */
 class GitHubApiClient {
     constructor() {
-        // APIレスポンスキャッシュ
+        // 加工済みデータのキャッシュ（メモリ）
         this.cache = new Map();
+        // APIレスポンスの永続キャッシュ（ETag/Last-Modified付き）。フィクスチャ使用時は setFixtureMode() で差し替える
+        this.store = null;
         // レート制限管理
         this.lastRequestTime = 0;
+        this.rateLimit = {
+            limit: null,
+            remaining: null,
+            resetAt: null // Date。この時刻まではAPIを呼び出さない（残り0の場合）
+        };
+        // 画面表示用のAPI状態
+        this.status = this.createStatus('ok');
         // リクエスト中フラグ
         this.isLoading = false;
+        // 実行中のリクエスト（キャッシュキーごとに共有）と処理
+        this.inFlight = new Map();
+        this.pendingTasks = new Map();
+        // リポジトリ一覧として取得したページのURL（再試行時に永続キャッシュから削除するため）
+        this.repositoryPageUrls = new Set();
+        // スナップショットの読み込み（1回のみ）
+        this.snapshotPromise = null;
+        // オフライン用フィクスチャの状態
+        this.fixtureMode = null;
+        this.fixtureScenario = null;
+        this.scenarioPromise = null;
+        this.recordedFixtures = new Map(); // 記録モードで取得したレスポンス（フィクスチャのパスごと）
+
+        const { mode, scenario } = this.getFixtureSettings();
+        this.setFixtureMode(mode, scenario);
+    }
+
+    /**
+     * フィクスチャの動作モードを切り替える
+     * 通常のキャッシュと混ざらないよう専用の名前空間を使い、毎回空の状態から始める
+     * @param {string|null} mode - 'replay' | 'record' | null
+     * @param {string|null} [scenario] - 再生時に重ねるシナリオ名
+     * @returns {void}
+     */
+    setFixtureMode(mode, scenario = null) {
+        this.fixtureMode = mode || null;
+        this.fixtureScenario = this.fixtureMode === 'replay' ? scenario : null;
+        this.scenarioPromise = null;
+        this.recordedFixtures.clear();
+        this.cache.clear();
+
+        const namespace = this.fixtureMode ?
+            `${GITHUB_CONFIG.CACHE_NAMESPACE}fixtures:` :
+            GITHUB_CONFIG.CACHE_NAMESPACE;
+        this.store = new ApiCacheStore(namespace);
+
+        if (this.fixtureMode) {
+            this.store.clear();
+            logger.info('api', `GitHub API: フィクスチャ${this.fixtureMode === 'record' ? '記録' : '再生'}モード`,
+                this.fixtureScenario ? `（シナリオ: ${this.fixtureScenario}）` : '');
+        }
+        if (this.fixtureMode === 'record') {
+            logger.info('api', 'GitHub API: 読み込み後に githubApi.downloadFixtures() で記録したレスポンスを保存できます');
+        }
+    }
+
+    /**
+     * 設定とURLパラメータからフィクスチャの動作モードを決定
+     * @private
+     * @returns {{mode: string|null, scenario: string|null}} 動作モードとシナリオ名
+     */
+    getFixtureSettings() {
+        let mode = GITHUB_CONFIG.FIXTURE_MODE;
+        let scenario = GITHUB_CONFIG.FIXTURE_SCENARIO;
+
+        if (typeof window !== 'undefined' && window.location) {
+            const params = new URLSearchParams(window.location.search);
+            if (params.has(GITHUB_CONFIG.FIXTURE_PARAM)) {
+                const value = params.get(GITHUB_CONFIG.FIXTURE_PARAM);
+                mode = value === 'record' ? 'record' : 'replay';
+                scenario = ['', 'replay', 'record'].includes(value) ? null : value;
+            }
+        }
+
+        // シナリオ名はファイル名として使用するため英数字・ハイフンのみ許可する
+        if (scenario && !/^[\w-]+$/.test(scenario)) {
+            logger.warn('api', `GitHub API: 不正なシナリオ名のため無視します (${scenario})`);
+            scenario = null;
+        }
+
+        return { mode, scenario };
+    }
+
+    /**
+     * リポジトリ一覧を取得
+     * 同時に呼び出された場合は1回の取得結果を共有する
+     * @returns {Promise<Array>} リポジトリデータの配列
+     */
+    getRepositories() {
+        return this.shareTask('user-repositories', () => this.loadRepositories());
+    }
+
+    /**
+     * リポジトリ一覧を取得して加工
+     * @private
+     * @returns {Promise<Array>} リポジトリデータの配列
+     */
+    async loadRepositories() {
+        const cacheKey = 'user-repositories';
+        
+        try {
+            logger.debug('api', 'GitHub API: リポジトリ取得開始');
+            
+            // キャッシュ確認
+            const cachedData = this.getCachedData(cacheKey);
+            if (cachedData) {
+                logger.debug('api', 'GitHub API: キャッシュからデータを取得');
+                return cachedData;
+            }
+
+            // API呼び出し
+            this.resetStatus();
+            this.isLoading = true;
+            loadingManager.start('github-repos');
+            
+            logger.debug('api', 'GitHub API: API呼び出し実行中...');
+            const repos = await this.fetchRepositories();
+            logger.debug('api', 'GitHub API: 生データ取得完了', repos);
+
+            const pinnedRepos = await this.getPinnedRepositories();
+            
+            const processedRepos = this.processRepositories(repos, pinnedRepos);
+            logger.debug('api', 'GitHub API: データ加工完了', processedRepos);
+
+            // キャッシュに保存
+            this.setCachedData(cacheKey, processedRepos);
+            
+            logger.info('api', `GitHub API: ${processedRepos.length}件のリポジトリを取得`);
+            return processedRepos;
+
+        } catch (error) {
+            ErrorHandler.log(error, 'GitHub API リポジトリ取得', 'api');
+            if (!error.rateLimited && error.name !== 'AbortError') {
+                this.setStatus(this.isNetworkError(error) ? 'offline' : 'error', { message: error.message });
+            }
+            return this.getFallbackRepositories();
+        } finally {
+            this.isLoading = false;
+            loadingManager.stop('github-repos');
+        }
+    }
+
+    /**
+     * 設定された全ユーザー・組織のリポジトリをAPIから取得
+     * 一部のアカウントで失敗しても、取得できた分を返す（全て失敗した場合のみエラー）
+     * @private
+     * @returns {Promise<Array>} 生のAPIレスポンスを連結したもの（同じリポジトリは1件にまとめる）
+     */
+    async fetchRepositories() {
+        const repos = new Map();
+        const failedAccounts = [];
+        let lastError = null;
+        let succeeded = 0;
+
+        for (const account of this.getAccounts()) {
+            try {
+                const accountRepos = await this.fetchAccountRepositories(account);
+                accountRepos.forEach(repo => {
+                    repos.set((repo.full_name || repo.name).toLowerCase(), repo);
+                });
+                succeeded++;
+            } catch (error) {
+                ErrorHandler.log(error, `GitHub API リポジトリ取得 (${account.login})`, 'api');
+                failedAccounts.push(account.login);
+                lastError = error;
+            }
+        }
+
+        if (succeeded === 0 && lastError) {
+            throw lastError;
+        }
+        if (failedAccounts.length > 0) {
+            this.setStatus('partial', { message: failedAccounts.join(', ') });
+        }
+        return [...repos.values()];
+    }
+
+    /**
+     * リポジトリの取得元アカウント一覧
+     * @private
+     * @returns {Array<{type: string, login: string}>} ユーザー・組織の一覧
+     */
+    getAccounts() {
+        const accounts = GITHUB_CONFIG.ACCOUNTS || [];
+        return accounts.length > 0 ? accounts : [{ type: 'user', login: GITHUB_CONFIG.USERNAME }];
+    }
+
+    /**
+     * ユーザーまたは組織のリポジトリをAPIから取得
+     * @private
+     * @param {{type: string, login: string}} account - 取得元のユーザー・組織
+     * @returns {Promise<Array>} 生のAPIレスポンス
+     */
+    async fetchAccountRepositories(account) {
+        const isOrg = account.type === 'org';
+        const url = `${GITHUB_CONFIG.API_BASE_URL}/${isOrg ? 'orgs' : 'users'}/${account.login}/repos`;
+        const params = new URLSearchParams({
+            sort: 'updated',
+            direction: 'desc',
+            per_page: GITHUB_CONFIG.PER_PAGE,
+            type: 'public'
+        });
+
+        const repos = [];
+        let nextUrl = `${url}?${params}`;
+        let pageCount = 0;
+
+        // Linkヘッダーの rel="next" を辿って全ページを取得
+        while (nextUrl && pageCount < GITHUB_CONFIG.MAX_PAGES) {
+            const { data, next } = await this.fetchRepositoryPage(nextUrl);
+            repos.push(...data);
+            nextUrl = next;
+            pageCount++;
+        }
+
+        if (nextUrl) {
+            logger.warn('api', `GitHub API: ページ数が上限(${GITHUB_CONFIG.MAX_PAGES})に達したため取得を打ち切りました`);
+        }
+
+        logger.debug('api', `GitHub API: ${account.login} の全ページ取得完了`, `${repos.length}件のリポジトリ (${pageCount}ページ)`);
+        return repos;
+    }
+
+    /**
+     * リポジトリ一覧の1ページ分を取得
+     * @private
+     * @param {string} pageUrl - 取得するページのURL
+     * @returns {Promise<{data: Array, next: string|null}>} ページデータと次ページURL
+     */
+    async fetchRepositoryPage(pageUrl) {
+        this.repositoryPageUrls.add(pageUrl);
+        const { data, link } = await this.requestJson(pageUrl, { reportStatus: true });
+        logger.debug('api', 'GitHub API: JSON解析完了', `${data.length}件のリポジトリ`);
+
+        const links = this.parseLinkHeader(link);
+        return { data, next: links.next || null };
+    }
+
+    /**
+     * 永続キャッシュを考慮してJSONを取得
+     * 有効期限内はキャッシュを返し、期限切れ後はETag/Last-Modifiedによる
+     * 条件付きリクエストで再検証する。通信失敗時は期限切れのキャッシュを返す。
+     * GitHub以外のリポジトリプロバイダーも options.external を指定して同じ経路で取得する。
+     * @param {string} url - リクエストURL
+     * @param {Object} [options] - リクエストオプション
+     * @param {Object} [options.headers] - リクエストヘッダー（省略時はGitHub API用）
+     * @param {boolean} [options.external] - GitHub以外のAPIか（GitHubのレート制限・状態表示の対象外にする）
+     * @param {string} [options.method] - HTTPメソッド（省略時はGET）
+     * @param {string} [options.body] - リクエストボディ
+     * @param {string} [options.cacheKey] - キャッシュキー（省略時はURL。POSTではボディごとに指定する）
+     * @param {boolean} [options.reportStatus] - 障害時にキャッシュ表示中等の状態（getStatus()）を更新するか（リポジトリ一覧のみ）
+     * @param {AbortSignal} [options.signal] - 呼び出し側の中止シグナル（画面を閉じた場合など）
+     * @returns {Promise<{data: any, link: string|null, fromCache: boolean, stale: boolean}>} 取得結果
+     */
+    requestJson(url, options = {}) {
+        const cacheKey = options.cacheKey || url;
+        let entry = this.inFlight.get(cacheKey);
+
+        // 同じキーのリクエストが実行中であれば、その結果を共有する
+        if (entry) {
+            logger.debug('api', 'GitHub API: 実行中のリクエストを共有', url);
+        } else {
+            const controller = new AbortController();
+            entry = { controller, subscribers: 0, promise: null };
+            entry.promise = this.performRequest(url, options, controller.signal)
+                .finally(() => {
+                    if (this.inFlight.get(cacheKey) === entry) {
+                        this.inFlight.delete(cacheKey);
+                    }
+                });
+            this.inFlight.set(cacheKey, entry);
+        }
+
+        return this.subscribe(entry, options.signal);
+    }
+
+    /**
+     * 実行中のリクエストの結果を待つ
+     * 呼び出し側のシグナルで中止した場合はその呼び出しのみ中止し、
+     * 待っている呼び出しがなくなった時点で通信自体も中止する
+     * @private
+     * @param {Object} entry - 実行中のリクエスト（controller, subscribers, promise）
+     * @param {AbortSignal} [signal] - 呼び出し側の中止シグナル
+     * @returns {Promise<Object>} 取得結果
+     */
+    subscribe(entry, signal) {
+        entry.subscribers++;
+        if (!signal) return entry.promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                entry.subscribers--;
+                if (entry.subscribers === 0) {
+                    entry.controller.abort();
+                }
+                reject(this.createAbortError());
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * リクエストを実行（キャッシュ・条件付きリクエスト・再試行・タイムアウト）
+     * @private
+     * @param {string} url - リクエストURL
+     * @param {Object} options - requestJson() のオプション
+     * @param {AbortSignal} signal - リクエスト全体の中止シグナル
+     * @returns {Promise<{data: any, link: string|null, fromCache: boolean, stale: boolean}>} 取得結果
+     */
+    async performRequest(url, options, signal) {
+        const external = Boolean(options.external);
+        const reportStatus = Boolean(options.reportStatus) && !external;
+        const method = options.method || 'GET';
+        const cacheKey = options.cacheKey || url;
+        const cached = this.store.get(cacheKey);
+
+        if (this.store.isFresh(cached, GITHUB_CONFIG.CACHE_DURATION)) {
+            logger.debug('api', 'GitHub API: 永続キャッシュを使用', url);
+            return this.fromCacheEntry(cached, false);
+        }
+
+        // レート制限のリセット時刻まではAPIを呼び出さない
+        if (!external && this.isRateLimited()) {
+            logger.warn('api', `GitHub API: レート制限中のため呼び出しを見送り (リセット: ${this.rateLimit.resetAt.toLocaleTimeString()})`);
+            return this.handleRateLimited(url, cached, reportStatus);
+        }
+
+        const headers = { ...(options.headers || {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'Portfolio-Site/1.0'
+        }) };
+
+        // 期限切れのキャッシュがあれば条件付きリクエストにする（GraphQL等のPOSTは対象外）
+        const revalidate = method === 'GET' && cached;
+        if (revalidate && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        } else if (revalidate && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            const canRetry = attempt < GITHUB_CONFIG.MAX_RETRIES;
+            let response;
+            let data;
+
+            try {
+                if (signal.aborted) throw this.createAbortError();
+                await this.respectRateLimit();
+
+                logger.debug('api', 'GitHub API: リクエストURL', url);
+                // タイムアウトは本文の読み込み完了までを対象にする
+                ({ response, data } = await this.fetchWithTimeout(url, { method, headers, body: options.body }, signal));
+            } catch (error) {
+                // 中止された場合は再試行・キャッシュ利用をせずに終了する
+                if (error.name === 'AbortError') throw error;
+                if (canRetry) {
+                    await this.backoff(attempt, url);
+                    continue;
+                }
+                if (cached) {
+                    logger.warn('api', 'GitHub API: 通信に失敗したため期限切れのキャッシュを使用', error);
+                    if (reportStatus) {
+                        this.setStatus('offline', { cachedAt: new Date(cached.timestamp) });
+                    }
+                    return this.fromCacheEntry(cached, true);
+                }
+                throw error;
+            }
+
+            logger.debug('api', 'GitHub API: レスポンス', {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries())
+            });
+
+            // レート制限ヘッダーを記録
+            if (!external) {
+                this.updateRateLimit(response);
+            }
+
+            // 304はレート制限を消費しないキャッシュ更新として扱う
+            if (response.status === 304 && cached) {
+                logger.debug('api', 'GitHub API: 304 Not Modified - キャッシュを更新', url);
+                this.store.touch(cacheKey);
+                return this.fromCacheEntry(cached, false);
+            }
+
+            if (response.ok) {
+                const link = response.headers.get('Link');
+                this.recordFixture(url, response, data);
+
+                this.store.set(cacheKey, {
+                    data,
+                    link,
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified')
+                });
+
+                return { data, link, fromCache: false, stale: false };
+            }
+
+            if (this.isRateLimitResponse(response)) {
+                const retryDelay = this.getRetryDelay(response, !external);
+                if (canRetry && retryDelay !== null && retryDelay <= GITHUB_CONFIG.RETRY_MAX_DELAY) {
+                    logger.warn('api', `GitHub API: ${response.status} - ${Math.ceil(retryDelay / 1000)}秒後に再試行`);
+                    await this.wait(retryDelay);
+                    continue;
+                }
+                if (!external) {
+                    this.blockUntil(retryDelay);
+                    return this.handleRateLimited(url, cached, reportStatus);
+                }
+            }
+
+            // 5xxは一時的な障害とみなして再試行
+            if (response.status >= 500 && canRetry) {
+                await this.backoff(attempt, url);
+                continue;
+            }
+
+            if (cached) {
+                logger.warn('api', `GitHub API: ${response.status}のため期限切れのキャッシュを使用`);
+                if (reportStatus) {
+                    this.setStatus('error', {
+                        message: `${response.status} ${response.statusText}`,
+                        cachedAt: new Date(cached.timestamp)
+                    });
+                }
+                return this.fromCacheEntry(cached, true);
+            }
+            // READMEがない等の404は再生時にも同じ結果になるよう記録する
+            if (response.status === 404) {
+                this.recordFixture(url, response, { message: 'Not Found' });
+            }
+            throw this.createApiError(response);
+        }
+    }
+
+    /**
+     * キャッシュエントリから取得結果を生成
+     * @private
+     * @param {Object} entry - キャッシュエントリ
+     * @param {boolean} stale - 期限切れのデータかどうか
+     * @returns {{data: any, link: string|null, fromCache: boolean, stale: boolean}} 取得結果
+     */
+    fromCacheEntry(entry, stale) {
+        return { data: entry.data, link: entry.link, fromCache: true, stale };
+    }
+
+    /**
+     * レート制限中の応答処理
+     * キャッシュがあれば期限切れでも返し、なければエラーとする
+     * @private
+     * @param {string} url - リクエストURL
+     * @param {Object|null} cached - キャッシュエントリ
+     * @param {boolean} [reportStatus] - API状態を更新するか
+     * @returns {{data: any, link: string|null, fromCache: boolean, stale: boolean}} 取得結果
+     */
+    handleRateLimited(url, cached, reportStatus = false) {
+        const resetAt = this.rateLimit.resetAt;
+
+        if (cached) {
+            if (reportStatus) {
+                this.setStatus('rate-limited', { resetAt, cachedAt: new Date(cached.timestamp) });
+            }
+            return this.fromCacheEntry(cached, true);
+        }
+
+        if (reportStatus) {
+            this.setStatus('rate-limited', { resetAt });
+        }
+        const error = new Error(`GitHub API レート制限中: ${url}`);
+        error.rateLimited = true;
+        error.resetAt = resetAt;
+        throw error;
+    }
+
+    /**
+     * タイムアウト付きでリクエストを送信し、成功時は本文のJSONまで読み込む
+     * @private
+     * @param {string} url - リクエストURL
+     * @param {Object} init - fetch() のオプション
+     * @param {AbortSignal} signal - リクエスト全体の中止シグナル
+     * @returns {Promise<{response: Response, data: any}>} レスポンスと本文（成功時以外は null）
+     */
+    async fetchWithTimeout(url, init, signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, GITHUB_CONFIG.REQUEST_TIMEOUT);
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const response = this.fixtureMode === 'replay' ?
+                await this.fetchFixture(url, { ...init, signal: controller.signal }) :
+                await fetch(url, { ...init, signal: controller.signal });
+            const hasBody = response.ok && response.status !== 204;
+            const data = hasBody ? await response.json() : null;
+            return { response, data };
+        } catch (error) {
+            if (signal.aborted) throw this.createAbortError();
+            if (timedOut) {
+                const timeoutError = new Error(`GitHub API タイムアウト (${GITHUB_CONFIG.REQUEST_TIMEOUT}ms): ${url}`);
+                timeoutError.timedOut = true;
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * フィクスチャからレスポンスを生成（再生モード）
+     * シナリオに一致するパスがあればそちらを優先し、未記録のパスは404として扱う
+     * @private
+     * @param {string} url - リクエストURL
+     * @param {Object} init - fetch() のオプション（signal を含む）
+     * @returns {Promise<Response>} フィクスチャのレスポンス
+     */
+    async fetchFixture(url, init) {
+        const fixturePath = this.getFixturePath(url);
+        // GitHub以外（他のプロバイダー等）は通常どおり通信する
+        if (!fixturePath) return fetch(url, init);
+
+        const scenario = await this.loadFixtureScenario();
+        const fixture = this.findScenarioFixture(scenario, fixturePath) ||
+            await this.loadFixture(fixturePath);
+        logger.debug('api', 'GitHub API: フィクスチャで応答', fixturePath, fixture.status || 200);
+
+        // タイムアウトの再現: 応答せずに中止（タイムアウト）を待つ
+        if (fixture.timeout) {
+            return new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(this.createAbortError()), { once: true });
+            });
+        }
+
+        const status = fixture.status || 200;
+        const hasBody = fixture.body !== undefined && status !== 204 && status !== 304;
+        return new Response(hasBody ? JSON.stringify(fixture.body) : null, {
+            status,
+            statusText: fixture.statusText || '',
+            headers: fixture.headers || {}
+        });
+    }
+
+    /**
+     * 記録済みのフィクスチャを読み込む
+     * @private
+     * @param {string} fixturePath - フィクスチャのパス（拡張子なし）
+     * @returns {Promise<{status: number, headers: Object, body: any}>} フィクスチャ
+     */
+    async loadFixture(fixturePath) {
+        const response = await fetch(`${GITHUB_CONFIG.FIXTURES_URL}/${fixturePath}.json`);
+        if (!response.ok) {
+            logger.warn('api', 'GitHub API: 未記録のフィクスチャのため404として扱います', fixturePath);
+            return { status: 404, statusText: 'Not Found', body: { message: 'Not Found' } };
+        }
+        return response.json();
+    }
+
+    /**
+     * シナリオ（エラーの再現用に重ねるレスポンス）を読み込む（1回のみ）
+     * @private
+     * @returns {Promise<Object|null>} シナリオ。未指定・読み込み失敗時はnull
+     */
+    loadFixtureScenario() {
+        if (!this.fixtureScenario) return Promise.resolve(null);
+
+        if (!this.scenarioPromise) {
+            const url = `${GITHUB_CONFIG.FIXTURE_SCENARIOS_URL}/${this.fixtureScenario}.json`;
+            this.scenarioPromise = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`フィクスチャのシナリオがありません: ${this.fixtureScenario}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    ErrorHandler.log(error, 'フィクスチャ シナリオ読み込み', 'api');
+                    return null;
+                });
+        }
+
+        return this.scenarioPromise;
+    }
+
+    /**
+     * シナリオからパスに一致するレスポンスを取得
+     * パターンの * は1階層、** は任意の階層に一致する
+     * @private
+     * @param {Object|null} scenario - シナリオ
+     * @param {string} fixturePath - フィクスチャのパス
+     * @returns {Object|null} 一致したレスポンスまたはnull
+     */
+    findScenarioFixture(scenario, fixturePath) {
+        if (!scenario || !scenario.responses) return null;
+
+        const pattern = Object.keys(scenario.responses).find(key => {
+            const source = key.split('**')
+                .map(part => part.split('*')
+                    .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                    .join('[^/]+'))
+                .join('.*');
+            return new RegExp(`^${source}$`).test(fixturePath);
+        });
+
+        return pattern ? scenario.responses[pattern] : null;
+    }
+
+    /**
+     * リクエストURLに対応するフィクスチャのパスを取得
+     * 例: {API_BASE_URL}/repos/purplehoge/app/readme → repos/purplehoge/app/readme
+     *     2ページ目以降は users/purplehoge/repos.page-2 のようにページ番号を付ける
+     * @private
+     * @param {string} url - リクエストURL
+     * @returns {string|null} フィクスチャのパス（拡張子なし）。GitHub API以外はnull
+     */
+    getFixturePath(url) {
+        if (url === GITHUB_CONFIG.GRAPHQL_URL || url === GITHUB_CONFIG.GRAPHQL_PROXY_URL) {
+            return 'graphql';
+        }
+        if (!url.startsWith(`${GITHUB_CONFIG.API_BASE_URL}/`)) return null;
+
+        const parsed = new URL(url);
+        const basePath = new URL(GITHUB_CONFIG.API_BASE_URL).pathname.replace(/\/$/, '');
+        const page = parsed.searchParams.get('page');
+        const suffix = page && page !== '1' ? `.page-${page}` : '';
+        return `${parsed.pathname.slice(basePath.length).replace(/^\//, '')}${suffix}`;
+    }
+
+    /**
+     * 記録モードでレスポンスをフィクスチャとして保持
+     * @private
+     * @param {string} url - リクエストURL
+     * @param {Response} response - APIレスポンス
+     * @param {any} body - レスポンスの本文
+     * @returns {void}
+     */
+    recordFixture(url, response, body) {
+        if (this.fixtureMode !== 'record') return;
+
+        const fixturePath = this.getFixturePath(url);
+        if (!fixturePath) return;
+
+        const headers = {};
+        ['ETag', 'Last-Modified', 'Link'].forEach(name => {
+            const value = response.headers.get(name);
+            if (value) headers[name.toLowerCase()] = value;
+        });
+
+        this.recordedFixtures.set(fixturePath, { status: response.status, headers, body });
+    }
+
+    /**
+     * 記録モードで取得したフィクスチャを取得
+     * scripts/record-fixtures.js --from で fixtures/github/ に展開できる
+     * @returns {Object<string, {status: number, headers: Object, body: any}>} フィクスチャのパスとレスポンス
+     */
+    exportFixtures() {
+        return Object.fromEntries(this.recordedFixtures);
+    }
+
+    /**
+     * 記録モードで取得したフィクスチャをJSONファイルとしてダウンロード（ブラウザのみ）
+     * @returns {void}
+     */
+    downloadFixtures() {
+        const blob = new Blob([JSON.stringify(this.exportFixtures(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'github-fixtures.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * 中止を表すErrorを生成
+     * @private
+     * @returns {Error} name が 'AbortError' のエラー
+     */
+    createAbortError() {
+        const error = new Error('GitHub API: リクエストを中止しました');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * 実行中のリクエストをすべて中止
+     * 画面の破棄時などに使用する（中止された呼び出しは AbortError で終了する）
+     * @returns {void}
+     */
+    cancelPendingRequests() {
+        this.inFlight.forEach(entry => entry.controller.abort());
+        this.inFlight.clear();
+    }
+
+    /**
+     * 同じ処理が実行中であれば、その結果を共有する
+     * @private
+     * @param {string} key - 処理のキー
+     * @param {Function} task - Promiseを返す処理
+     * @returns {Promise<any>} 処理結果
+     */
+    shareTask(key, task) {
+        if (this.pendingTasks.has(key)) {
+            return this.pendingTasks.get(key);
+        }
+
+        const promise = task().finally(() => this.pendingTasks.delete(key));
+        this.pendingTasks.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * エラーレスポンスからErrorを生成
+     * @private
+     * @param {Response} response - APIレスポンス
+     * @returns {Error} ステータスコード付きのエラー
+     */
+    createApiError(response) {
+        const error = new Error(`GitHub API エラー: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        return error;
+    }
+
+    /**
+     * レスポンスを受け取れなかった（通信失敗・タイムアウト）エラーか
+     * @private
+     * @param {Error} error - エラー
+     * @returns {boolean} 通信エラーかどうか
+     */
+    isNetworkError(error) {
+        return error.status === undefined && !error.rateLimited;
+    }
+
+    /**
+     * 指数バックオフで待機
+     * @private
+     * @param {number} attempt - 試行回数（0始まり）
+     * @param {string} url - リクエストURL（ログ用）
+     * @returns {Promise<void>}
+     */
+    async backoff(attempt, url) {
+        const baseDelay = GITHUB_CONFIG.RETRY_BASE_DELAY * Math.pow(2, attempt);
+        // 同時リトライの集中を避けるため少しずらす
+        const jitter = Math.random() * GITHUB_CONFIG.RETRY_BASE_DELAY;
+        const delay = Math.min(baseDelay + jitter, GITHUB_CONFIG.RETRY_MAX_DELAY);
+
+        logger.warn('api', `GitHub API: 再試行 ${attempt + 1}/${GITHUB_CONFIG.MAX_RETRIES} (${Math.round(delay)}ms後)`, url);
+        await this.wait(delay);
+    }
+
+    /**
+     * 指定時間待機
+     * @private
+     * @param {number} ms - 待機時間（ミリ秒）
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Linkヘッダーを解析
+     * 例: <https://api.github.com/...&page=2>; rel="next", <...>; rel="last"
+     * @private
+     * @param {string|null} header - Linkヘッダーの値
+     * @returns {Object} rel名をキー、URLを値とするオブジェクト
+     */
+    parseLinkHeader(header) {
+        const links = {};
+        if (!header) return links;
+
+        header.split(',').forEach(part => {
+            const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+            if (match) {
+                links[match[2]] = match[1];
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * GraphQL APIを利用できるか（トークンまたはプロキシが設定されているか）
+     * @returns {boolean} 利用できるかどうか
+     */
+    canUseGraphQL() {
+        return Boolean(GITHUB_CONFIG.GRAPHQL_PROXY_URL || GITHUB_CONFIG.GRAPHQL_TOKEN);
+    }
+
+    /**
+     * GraphQLクエリを実行
+     * プロキシが設定されている場合はトークンを付けずにプロキシへ送信する
+     * @private
+     * @param {string} query - GraphQLクエリ
+     * @param {Object} variables - クエリ変数
+     * @returns {Promise<Object>} レスポンスの data
+     */
+    async requestGraphQL(query, variables = {}) {
+        const url = GITHUB_CONFIG.GRAPHQL_PROXY_URL || GITHUB_CONFIG.GRAPHQL_URL;
+        const headers = { 'Content-Type': 'application/json' };
+        if (!GITHUB_CONFIG.GRAPHQL_PROXY_URL) {
+            headers['Authorization'] = `bearer ${GITHUB_CONFIG.GRAPHQL_TOKEN}`;
+        }
+
+        const body = JSON.stringify({ query, variables });
+        // GraphQLは独自のレート制限枠のため、REST APIの状態表示には含めない
+        const { data } = await this.requestJson(url, {
+            method: 'POST',
+            headers,
+            body,
+            cacheKey: `graphql:${body}`,
+            external: true
+        });
+
+        if (data.errors && data.errors.length > 0) {
+            throw new Error(`GitHub GraphQL エラー: ${data.errors.map(error => error.message).join(', ')}`);
+        }
+        return data.data;
+    }
+
+    /**
+     * プロフィールにピン留めされたリポジトリを取得
+     * GraphQLを利用できない場合・取得に失敗した場合は null を返し、従来の判定にフォールバックする
+     * @returns {Promise<Array<string>|null>} ピン留め順の "owner/name"（小文字）の配列またはnull
+     */
+    async getPinnedRepositories() {
+        if (!GITHUB_CONFIG.USE_PINNED_REPOS || !this.canUseGraphQL()) return null;
+
+        const query = `query($login: String!, $first: Int!) {
+            user(login: $login) {
+                pinnedItems(first: $first, types: REPOSITORY) {
+                    nodes { ... on Repository { nameWithOwner } }
+                }
+            }
+        }`;
+
+        try {
+            const data = await this.requestGraphQL(query, {
+                login: GITHUB_CONFIG.USERNAME,
+                first: GITHUB_CONFIG.MAX_PINNED
+            });
+            if (!data.user) return null;
+
+            const pinned = data.user.pinnedItems.nodes
+                .filter(node => node && node.nameWithOwner)
+                .map(node => node.nameWithOwner.toLowerCase());
+
+            logger.debug('api', 'GitHub API: ピン留めリポジトリ取得完了', pinned);
+            return pinned;
+        } catch (error) {
+            ErrorHandler.log(error, 'GitHub API ピン留めリポジトリ取得', 'api');
+            return null;
+        }
+    }
+
+    /**
+     * ピン留め情報をプロジェクトに反映
+     * ピン留めの取得に成功した場合は、注目リポジトリの判定をピン留めのみに置き換える
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @param {Array<string>|null} pinnedRepos - getPinnedRepositories() の結果
+     * @returns {Object} ピン留め情報を反映したプロジェクトデータ
+     */
+    applyPinned(project, pinnedRepos) {
+        if (!pinnedRepos) return project;
+
+        const { owner, name } = project.githubData;
+        const pinnedRank = pinnedRepos.indexOf(`${owner}/${name}`.toLowerCase());
+
+        return {
+            ...project,
+            featured: pinnedRank !== -1,
+            pinnedRank: pinnedRank !== -1 ? pinnedRank : null
+        };
+    }
+
+    /**
+     * GitHubから取得したプロジェクトかどうか
+     * 他のプロバイダーのプロジェクトにはGitHub固有のAPIを呼び出さない
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {boolean} GitHubのプロジェクトかどうか
+     */
+    isGitHubProject(project) {
+        return Boolean(project.githubData) && (project.source || 'github') === 'github';
+    }
+
+    /**
+     * 表示するプロジェクトに言語構成を付与
+     * /repos/{owner}/{repo}/languages のバイト数を割合に変換して githubData.languages に格納する。
+     * 取得済みのプロジェクトは再取得しない。取得に失敗したプロジェクトは未取得（null）のまま扱う。
+     * @param {Array} projects - 描画するカードのプロジェクト（processRepositories() で加工済み）
+     * @returns {Promise<Array>} 言語構成を付与したプロジェクト（同じ配列）
+     */
+    async attachLanguages(projects) {
+        if (!GITHUB_CONFIG.FETCH_LANGUAGES) return projects;
+
+        for (const project of projects) {
+            if (!this.isGitHubProject(project) || project.githubData.languages) continue;
+
+            try {
+                project.githubData.languages = await this.getLanguages(
+                    project.githubData.owner,
+                    project.githubData.name
+                );
+            } catch (error) {
+                ErrorHandler.log(error, `GitHub API 言語構成取得 (${project.githubData.name})`, 'api');
+            }
+        }
+
+        return projects;
+    }
+
+    /**
+     * リポジトリの言語構成を取得
+     * @param {string} owner - リポジトリの所有者
+     * @param {string} repoName - リポジトリ名
+     * @param {Object} [options] - オプション
+     * @param {AbortSignal} [options.signal] - 中止シグナル
+     * @returns {Promise<Array<{name: string, bytes: number, percentage: number, color: string}>>} 割合の大きい順の言語構成
+     */
+    async getLanguages(owner, repoName, options = {}) {
+        const url = `${GITHUB_CONFIG.API_BASE_URL}/repos/${owner}/${repoName}/languages`;
+        const { data } = await this.requestJson(url, { signal: options.signal });
+        return this.calculateLanguageShares(data);
+    }
+
+    /**
+     * 言語ごとのバイト数を割合に変換
+     * 上位 MAX_LANGUAGES 件以外は「その他」にまとめる
+     * @private
+     * @param {Object} languageBytes - 言語名をキー、バイト数を値とするオブジェクト
+     * @returns {Array} 割合の大きい順の言語構成
+     */
+    calculateLanguageShares(languageBytes) {
+        const entries = Object.entries(languageBytes || {})
+            .filter(([, bytes]) => bytes > 0)
+            .sort((a, b) => b[1] - a[1]);
+        const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+        if (total === 0) return [];
+
+        const toShare = (name, bytes, color) => ({
+            name,
+            bytes,
+            percentage: Math.round((bytes / total) * 1000) / 10,
+            color
+        });
+
+        const shares = entries
+            .slice(0, GITHUB_CONFIG.MAX_LANGUAGES)
+            .map(([name, bytes]) => toShare(name, bytes, LANGUAGE_COLORS[name] || DEFAULT_LANGUAGE_COLOR));
+
+        const otherBytes = entries
+            .slice(GITHUB_CONFIG.MAX_LANGUAGES)
+            .reduce((sum, [, bytes]) => sum + bytes, 0);
+        if (otherBytes > 0) {
+            shares.push(toShare('Other', otherBytes, DEFAULT_LANGUAGE_COLOR));
+        }
+
+        return shares;
+    }
+
+    /**
+     * 表示するプロジェクトにREADMEの有無を付与（ランキングの指標に使用）
+     * プロジェクトごとにAPIを1回呼び出すため、未認証（60回/時）の場合は確認せず、
+     * hasReadme は未確認のまま（全プロジェクトで同じ指標値）とする。
+     * 取得したREADMEはキャッシュされ、詳細ビューの表示にも再利用される
+     * @param {Array} projects - processRepositories() で加工済みのプロジェクト
+     * @returns {Promise<Array>} READMEの有無を付与したプロジェクト（同じ配列）
+     */
+    async attachReadmeStatus(projects) {
+        if (!RANKING_CONFIG.WEIGHTS.readme) return projects;
+        if (!this.isAuthenticated()) {
+            logger.debug('api', 'GitHub API: 未認証のためREADMEの有無の確認を省略');
+            return projects;
+        }
+
+        for (const project of projects) {
+            if (!this.isGitHubProject(project) || typeof project.githubData.hasReadme === 'boolean') continue;
+
+            try {
+                const { owner, name, defaultBranch } = project.githubData;
+                project.githubData.hasReadme = Boolean(await this.getReadme(owner, name, defaultBranch));
+            } catch (error) {
+                ErrorHandler.log(error, `GitHub API README確認 (${project.githubData.name})`, 'api');
+            }
+        }
+
+        return projects;
+    }
+
+    /**
+     * リポジトリのREADMEを取得
+     * 相対パスの画像・リンクを解決するためのベースURLも合わせて返す
+     * @param {string} owner - リポジトリの所有者
+     * @param {string} repoName - リポジトリ名
+     * @param {string} branch - 参照するブランチ
+     * @param {Object} [options] - オプション
+     * @param {AbortSignal} [options.signal] - 中止シグナル（詳細画面を閉じた場合など）
+     * @returns {Promise<Object|null>} README情報（markdown, path, 各ベースURL）。READMEがない場合はnull
+     */
+    async getReadme(owner, repoName, branch = 'main', options = {}) {
+        const url = `${GITHUB_CONFIG.API_BASE_URL}/repos/${owner}/${repoName}/readme`;
+
+        let data;
+        try {
+            ({ data } = await this.requestJson(url, { signal: options.signal }));
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+
+        const markdown = data.encoding === 'base64' ?
+            this.decodeBase64(data.content) :
+            data.content || '';
+
+        // READMEがサブディレクトリにある場合はそのディレクトリを基準にする
+        const path = data.path || 'README.md';
+        const directory = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+        const rawRoot = `https://raw.githubusercontent.com/${owner}/${repoName}/${branch}/`;
+        const blobRoot = `https://github.com/${owner}/${repoName}/blob/${branch}/`;
+
+        return {
+            markdown,
+            path,
+            imageBaseUrl: rawRoot + directory,
+            linkBaseUrl: blobRoot + directory,
+            rootImageBaseUrl: rawRoot,
+            rootLinkBaseUrl: blobRoot
+        };
+    }
+
+    /**
+     * 表示するプロジェクトに最新リリースを付与
+     * githubData.latestRelease に格納する（リリースがない場合はnull）。
+     * リリース一覧（githubData.releases）は詳細ビューを開いた際に取得する。
+     * 取得に失敗したプロジェクトは未取得（undefined）のまま扱う。
+     * @param {Array} projects - 描画するカードのプロジェクト（processRepositories() で加工済み）
+     * @returns {Promise<Array>} 最新リリースを付与したプロジェクト（同じ配列）
+     */
+    async attachReleases(projects) {
+        if (!GITHUB_CONFIG.FETCH_RELEASES) return projects;
+
+        for (const project of projects) {
+            if (!this.isGitHubProject(project) || project.githubData.latestRelease !== undefined) continue;
+
+            try {
+                const [latest] = project.githubData.releases || await this.getReleases(
+                    project.githubData.owner,
+                    project.githubData.name,
+                    { limit: 1 }
+                );
+                project.githubData.latestRelease = latest || null;
+            } catch (error) {
+                ErrorHandler.log(error, `GitHub API リリース取得 (${project.githubData.name})`, 'api');
+            }
+        }
+
+        return projects;
+    }
+
+    /**
+     * リポジトリのリリース一覧を取得（下書きは除く）
+     * @param {string} owner - リポジトリの所有者
+     * @param {string} repoName - リポジトリ名
+     * @param {Object} [options] - オプション
+     * @param {AbortSignal} [options.signal] - 中止シグナル
+     * @param {number} [options.limit] - 取得件数（省略時は MAX_RELEASES）
+     * @returns {Promise<Array<{tag: string, name: string, body: string, url: string, publishedAt: Date, prerelease: boolean}>>} 新しい順のリリース
+     */
+    async getReleases(owner, repoName, options = {}) {
+        const limit = options.limit || GITHUB_CONFIG.MAX_RELEASES;
+        const url = `${GITHUB_CONFIG.API_BASE_URL}/repos/${owner}/${repoName}/releases?per_page=${limit}`;
+        const { data } = await this.requestJson(url, { signal: options.signal });
+
+        return (Array.isArray(data) ? data : [])
+            .filter(release => !release.draft && release.published_at)
+            .map(release => ({
+                tag: release.tag_name,
+                name: release.name || release.tag_name,
+                body: release.body || '',
+                url: release.html_url,
+                publishedAt: new Date(release.published_at),
+                prerelease: Boolean(release.prerelease)
+            }))
+            .sort((a, b) => b.publishedAt - a.publishedAt);
+    }
+
+    /**
+     * 全プロジェクトの新着リリースを取得
+     * 取得済みのリリース（詳細ビューで取得した一覧、またはカードの最新リリース）を新しい順にまとめる
+     * @param {Array} projects - 表示中のプロジェクト
+     * @returns {Array<{type: string, repo: string, title: string, url: string, date: Date}>} 新しい順のリリース（アクティビティ形式）
+     */
+    getWhatsNew(projects) {
+        return projects
+            .filter(project => project.githubData && (project.githubData.releases || project.githubData.latestRelease))
+            .flatMap(project => (project.githubData.releases || [project.githubData.latestRelease]).map(release => ({
+                type: 'release',
+                repo: project.title,
+                title: release.name === release.tag ? release.tag : `${release.name} (${release.tag})`,
+                url: release.url,
+                date: release.publishedAt
+            })))
+            .sort((a, b) => b.date - a.date)
+            .slice(0, GITHUB_CONFIG.WHATS_NEW_LIMIT);
+    }
+
+    /**
+     * Activityセクション用のアクティビティを取得
+     * ヒートマップは表示中リポジトリのコミット推移（stats/commit_activity）を合算し、
+     * 取得できない場合は公開イベントのプッシュから集計する
+     * @param {Array} projects - 表示中のプロジェクト（コミット推移の取得対象）
+     * @returns {Promise<{days: Array<{date: string, count: number}>, feed: Array<Object>}>} アクティビティ
+     */
+    getActivity(projects = []) {
+        return this.shareTask('user-activity', () => this.loadActivity(projects));
+    }
+
+    /**
+     * アクティビティを取得して集計
+     * @private
+     * @param {Array} projects - コミット推移の取得対象のプロジェクト
+     * @returns {Promise<{days: Array<{date: string, count: number}>, feed: Array<Object>}>} アクティビティ
+     */
+    async loadActivity(projects) {
+        const cacheKey = 'user-activity';
+        const cachedData = this.getCachedData(cacheKey);
+        if (cachedData) return cachedData;
+
+        let events = [];
+        try {
+            events = await this.fetchUserEvents();
+        } catch (error) {
+            ErrorHandler.log(error, 'GitHub API 公開イベント取得', 'api');
+        }
+
+        const commitWeeks = [];
+        for (const project of this.selectActivityProjects(projects)) {
+            try {
+                commitWeeks.push(...await this.getCommitActivity(
+                    project.githubData.owner,
+                    project.githubData.name
+                ));
+            } catch (error) {
+                ErrorHandler.log(error, `GitHub API コミット推移取得 (${project.githubData.name})`, 'api');
+            }
+        }
+
+        const activity = {
+            days: this.buildActivityDays(commitWeeks, events),
+            feed: this.buildActivityFeed(events)
+        };
+
+        this.setCachedData(cacheKey, activity);
+        return activity;
+    }
+
+    /**
+     * コミット推移を取得するプロジェクトを選択
+     * ヒートマップの期間内にプッシュしたGitHubのリポジトリを、直近にプッシュした順に ACTIVITY_MAX_REPOS 件まで選ぶ
+     * @private
+     * @param {Array} projects - 対象候補のプロジェクト
+     * @returns {Array} コミット推移を取得するプロジェクト
+     */
+    selectActivityProjects(projects) {
+        const since = Date.now() - GITHUB_CONFIG.ACTIVITY_WEEKS * 7 * 86400000;
+        const pushedAt = project => new Date(project.githubData.pushedAt || project.githubData.updatedAt || 0).getTime();
+
+        return projects
+            .filter(project => this.isGitHubProject(project) && pushedAt(project) >= since)
+            .sort((a, b) => pushedAt(b) - pushedAt(a))
+            .slice(0, GITHUB_CONFIG.ACTIVITY_MAX_REPOS);
+    }
+
+    /**
+     * ユーザーの公開イベントを取得
+     * @private
+     * @returns {Promise<Array>} 新しい順のイベント
+     */
+    async fetchUserEvents() {
+        const events = [];
+        let nextUrl = `${GITHUB_CONFIG.API_BASE_URL}/users/${GITHUB_CONFIG.USERNAME}/events/public?per_page=${GITHUB_CONFIG.PER_PAGE}`;
+        let pageCount = 0;
+
+        while (nextUrl && pageCount < GITHUB_CONFIG.ACTIVITY_EVENT_PAGES) {
+            const { data, link } = await this.requestJson(nextUrl);
+            events.push(...(Array.isArray(data) ? data : []));
+            nextUrl = this.parseLinkHeader(link).next || null;
+            pageCount++;
+        }
+
+        return events;
+    }
+
+    /**
+     * リポジトリの週ごとのコミット数（直近52週）を取得
+     * @param {string} owner - リポジトリの所有者
+     * @param {string} repoName - リポジトリ名
+     * @returns {Promise<Array<{week: number, days: Array<number>}>>} 週ごとのコミット数（集計中の場合は空配列）
+     */
+    async getCommitActivity(owner, repoName) {
+        const url = `${GITHUB_CONFIG.API_BASE_URL}/repos/${owner}/${repoName}/stats/commit_activity`;
+        const { data } = await this.requestJson(url);
+
+        // 202（GitHub側で集計中）の場合は配列以外が返るため、キャッシュせず次回に再取得する
+        if (!Array.isArray(data)) {
+            this.store.delete(url);
+            return [];
+        }
+        return data;
+    }
+
+    /**
+     * ヒートマップ用の日別件数を生成
+     * 直近 ACTIVITY_WEEKS 週の日曜日から今日までを、日付（UTC）ごとに並べる
+     * @private
+     * @param {Array<{week: number, days: Array<number>}>} commitWeeks - コミット推移（全リポジトリ分）
+     * @param {Array} events - 公開イベント
+     * @returns {Array<{date: string, count: number}>} 古い順の日別件数
+     */
+    buildActivityDays(commitWeeks, events) {
+        const DAY = 86400000;
+        const counts = new Map();
+        const add = (time, count) => {
+            const key = new Date(time).toISOString().slice(0, 10);
+            counts.set(key, (counts.get(key) || 0) + count);
+        };
+
+        commitWeeks.forEach(week => {
+            (week.days || []).forEach((count, index) => {
+                if (count > 0) add(week.week * 1000 + index * DAY, count);
+            });
+        });
+
+        // コミット推移が取得できなかった場合はプッシュイベントで代用する
+        if (counts.size === 0) {
+            events
+                .filter(event => event.type === 'PushEvent')
+                .forEach(event => add(Date.parse(event.created_at), this.getPushCommitCount(event) || 1));
+        }
+
+        const today = new Date();
+        const end = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+        const start = end - (GITHUB_CONFIG.ACTIVITY_WEEKS * 7 + new Date(end).getUTCDay()) * DAY;
+
+        const days = [];
+        for (let time = start; time <= end; time += DAY) {
+            const date = new Date(time).toISOString().slice(0, 10);
+            days.push({ date, count: counts.get(date) || 0 });
+        }
+        return days;
+    }
+
+    /**
+     * 最近のアクティビティ（プッシュ・リリース・プルリクエスト）を生成
+     * @private
+     * @param {Array} events - 公開イベント
+     * @returns {Array<{type: string, repo: string, title: string, url: string, date: Date}>} 新しい順のアクティビティ
+     */
+    buildActivityFeed(events) {
+        return events
+            .map(event => {
+                const repo = event.repo ? event.repo.name : '';
+                const repoUrl = `https://github.com/${repo}`;
+                const payload = event.payload || {};
+                const date = new Date(event.created_at);
+
+                switch (event.type) {
+                    case 'PushEvent': {
+                        const branch = (payload.ref || '').replace('refs/heads/', '');
+                        const count = this.getPushCommitCount(event);
+                        return {
+                            type: 'push',
+                            repo,
+                            title: count ?
+                                `${branch} に${count}件のコミットをプッシュ` :
+                                `${branch} にプッシュ`,
+                            url: branch ? `${repoUrl}/commits/${branch}` : repoUrl,
+                            date
+                        };
+                    }
+                    case 'ReleaseEvent':
+                        if (payload.action !== 'published' || !payload.release) return null;
+                        return {
+                            type: 'release',
+                            repo,
+                            title: `${payload.release.name || payload.release.tag_name} をリリース`,
+                            url: payload.release.html_url || `${repoUrl}/releases`,
+                            date
+                        };
+                    case 'PullRequestEvent': {
+                        const pullRequest = payload.pull_request;
+                        if (!pullRequest) return null;
+                        const merged = payload.action === 'closed' && pullRequest.merged;
+                        if (payload.action !== 'opened' && !merged) return null;
+                        return {
+                            type: merged ? 'merge' : 'pull-request',
+                            repo,
+                            title: `${merged ? 'マージ' : '作成'}: ${pullRequest.title}`,
+                            url: pullRequest.html_url || repoUrl,
+                            date
+                        };
+                    }
+                    default:
+                        return null;
+                }
+            })
+            .filter(Boolean)
+            .slice(0, GITHUB_CONFIG.ACTIVITY_FEED_LIMIT);
+    }
+
+    /**
+     * プッシュイベントのコミット数を取得
+     * @private
+     * @param {Object} event - PushEvent
+     * @returns {number} コミット数（不明な場合は0）
+     */
+    getPushCommitCount(event) {
+        const payload = event.payload || {};
+        if (typeof payload.size === 'number') return payload.size;
+        return Array.isArray(payload.commits) ? payload.commits.length : 0;
+    }
+
+    /**
+     * Base64（UTF-8）文字列をデコード
+     * @private
+     * @param {string} content - Base64文字列（改行を含む場合あり）
+     * @returns {string} デコードされた文字列
+     */
+    decodeBase64(content) {
+        const binary = atob((content || '').replace(/\s/g, ''));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    /**
+     * リポジトリデータの加工処理
+     * @private
+     * @param {Array} repos - 生のリポジトリデータ
+     * @param {Array<string>|null} [pinnedRepos] - ピン留めリポジトリ（getPinnedRepositories() の結果）
+     * @returns {Array} 加工済みリポジトリデータ
+     */
+    processRepositories(repos, pinnedRepos = null) {
+        return repos
+            .filter(repo => !this.isExcludedRepo(repo.name))
+            .filter(repo => !repo.fork) // フォークリポジトリを除外
+            .filter(repo => !this.isHiddenByOverride(repo.name, repo.owner && repo.owner.login))
+            .map(repo => this.applyOverrides(this.applyPinned(this.toProject(repo), pinnedRepos)))
+            .sort((a, b) => projectRanker.compare(a, b)) // 並び順は RANKING_CONFIG の重みで調整する
+            .slice(0, GITHUB_CONFIG.MAX_REPOS); // 件数の上限はフィルタ・並び替え後に適用
+    }
+
+    /**
+     * 除外対象（EXCLUDED_REPOS）のリポジトリかどうか
+     * @param {string} repoName - リポジトリ名
+     * @returns {boolean} 除外対象かどうか
+     */
+    isExcludedRepo(repoName) {
+        return GITHUB_CONFIG.EXCLUDED_REPOS.some(rule =>
+            rule instanceof RegExp ? rule.test(repoName) : rule === repoName
+        );
     }
 
     /**
-     * リポジトリ一覧を取得
-     * @returns {Promise<Array>} リポジトリデータの配列
+     * リポジトリの個別設定を取得
+     * "owner/name" 形式のキーを "name" より優先する
+     * @private
+     * @param {string} repoName - リポジトリ名
+     * @param {string} [owner] - リポジトリの所有者
+     * @returns {Object|null} 個別設定（PROJECT_OVERRIDES）またはnull
      */
-    async getRepositories() {
-        const cacheKey = 'user-repositories';
-        
-        try {
-            console.log('GitHub API: リポジトリ取得開始');
-            
-            // キャッシュ確認
-            const cachedData = this.getCachedData(cacheKey);
-            if (cachedData) {
-                console.log('GitHub API: キャッシュからデータを取得');
-                return cachedData;
-            }
+    getOverride(repoName, owner) {
+        const overrides = typeof PROJECT_OVERRIDES !== 'undefined' ? PROJECT_OVERRIDES : {};
+        const has = (key) => Object.prototype.hasOwnProperty.call(overrides, key);
 
-            // API呼び出し
-            this.isLoading = true;
-            loadingManager.start('github-repos');
-            
-            console.log('GitHub API: API呼び出し実行中...');
-            const repos = await this.fetchUserRepositories();
-            console.log('GitHub API: 生データ取得完了', repos);
-            
-            const processedRepos = this.processRepositories(repos);
-            console.log('GitHub API: データ加工完了', processedRepos);
+        if (owner && has(`${owner}/${repoName}`)) return overrides[`${owner}/${repoName}`];
+        return has(repoName) ? overrides[repoName] : null;
+    }
 
-            // キャッシュに保存
-            this.setCachedData(cacheKey, processedRepos);
-            
-            console.log(`GitHub API: ${processedRepos.length}件のリポジトリを取得`);
-            return processedRepos;
+    /**
+     * 個別設定で非表示にされたリポジトリかどうか
+     * @param {string} repoName - リポジトリ名
+     * @param {string} [owner] - リポジトリの所有者
+     * @returns {boolean} 非表示かどうか
+     */
+    isHiddenByOverride(repoName, owner) {
+        const override = this.getOverride(repoName, owner);
+        return Boolean(override && override.hidden);
+    }
 
-        } catch (error) {
-            console.error('GitHub API エラー:', error);
-            ErrorHandler.log(error, 'GitHub API リポジトリ取得');
-            return this.getFallbackRepositories();
-        } finally {
-            this.isLoading = false;
-            loadingManager.stop('github-repos');
+    /**
+     * プロジェクトに個別設定を適用
+     * @param {Object} project - プロジェクトデータ
+     * @returns {Object} 個別設定を適用したプロジェクトデータ（設定がなければそのまま）
+     */
+    applyOverrides(project) {
+        const name = project.githubData ? project.githubData.name : project.title;
+        const override = this.getOverride(name, project.githubData && project.githubData.owner);
+        if (!override) return project;
+
+        const result = { ...project };
+        const has = (key) => Object.prototype.hasOwnProperty.call(override, key);
+
+        if (has('title')) result.title = override.title;
+        if (has('description')) result.description = override.description;
+        if (has('technologies') && Array.isArray(override.technologies)) {
+            result.technologies = technologyTaxonomy.normalizeAll(override.technologies);
+        }
+        if (has('featured')) result.featured = Boolean(override.featured);
+        if (has('pin') && typeof override.pin === 'number') result.pin = override.pin;
+
+        if (has('status')) {
+            if (PROJECT_STATUSES.includes(override.status)) {
+                result.status = override.status;
+            } else {
+                logger.warn('app', `プロジェクト個別設定: 不明なstatusです (${name}: ${override.status})`);
+            }
         }
+
+        // 手動で指定したデモURLは検証済みとして扱い、自動検証で上書きしない
+        if (has('demoUrl')) {
+            result.demoUrl = override.demoUrl || null;
+            result.demoStatus = override.demoUrl ? 'verified' : 'unavailable';
+            result.demoVerified = true;
+        }
+
+        // 指定画像が読み込めない場合は生成プレースホルダーにフォールバックする
+        if (has('image') && override.image) {
+            result.image = override.image;
+            result.imageSources = [override.image];
+        }
+
+        return result;
     }
 
     /**
-     * ユーザーリポジトリをAPIから取得
+     * リポジトリデータをプロジェクトデータに変換
      * @private
-     * @returns {Promise<Array>} 生のAPIレスポンス
+     * @param {Object} repo - 生のリポジトリデータ
+     * @returns {Object} プロジェクトデータ
      */
-    async fetchUserRepositories() {
-        await this.respectRateLimit();
-
-        const url = `${GITHUB_CONFIG.API_BASE_URL}/users/${GITHUB_CONFIG.USERNAME}/repos`;
-        const params = new URLSearchParams({
-            sort: 'updated',
-            direction: 'desc',
-            per_page: GITHUB_CONFIG.MAX_REPOS,
-            type: 'public'
-        });
+    toProject(repo) {
+        const demoUrl = this.getDemoUrl(repo);
+        const owner = repo.owner ? repo.owner.login : GITHUB_CONFIG.USERNAME;
 
-        const fullUrl = `${url}?${params}`;
-        console.log('GitHub API: リクエストURL', fullUrl);
-
-        const response = await fetch(fullUrl, {
-            headers: {
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'Portfolio-Site/1.0'
+        return {
+            // 複数のユーザー・組織に同名のリポジトリがあっても重複しないよう所有者を含める
+            id: `github-${owner}-${repo.name}`,
+            source: 'github',
+            title: repo.name,
+            description: repo.description || '説明がありません',
+            technologies: this.extractTechnologies(repo),
+            ...this.resolvePreviewImage(repo),
+            demoUrl,
+            demoStatus: demoUrl ? 'unverified' : 'unavailable', // verifyDemos() で更新
+            sourceUrl: repo.html_url,
+            status: 'completed',
+            featured: this.isFeaturedRepo(repo),
+            isMirror: Boolean(repo.mirror_url),
+            mirrorUrl: repo.mirror_url || null, // ミラー元のURL（別プラットフォームとの重複判定に使用）
+            githubData: {
+                name: repo.name,
+                owner,
+                defaultBranch: repo.default_branch || 'main',
+                homepage: this.getHomepageUrl(repo),
+                hasPages: Boolean(repo.has_pages),
+                stars: repo.stargazers_count,
+                language: repo.language,
+                updatedAt: new Date(repo.updated_at),
+                pushedAt: new Date(repo.pushed_at || repo.updated_at),
+                createdAt: new Date(repo.created_at),
+                topics: repo.topics || [],
+                languages: null, // attachLanguages() で取得（null は未取得）
+                releases: null, // 詳細ビューで取得（null は未取得）
+                latestRelease: undefined, // attachReleases() で取得（undefined は未取得、null はリリースなし）
+                hasReadme: null // attachReadmeStatus() で取得（null は未確認）
             }
-        });
+        };
+    }
 
-        console.log('GitHub API: レスポンス', {
-            status: response.status,
-            statusText: response.statusText,
-            headers: Object.fromEntries(response.headers.entries())
-        });
+    /**
+     * プロジェクトカードのプレビュー画像を解決
+     * 優先順: 規約パスの画像（PREVIEW_TOPIC がある場合）→ OpenGraph画像 → 生成プレースホルダー
+     * @private
+     * @param {Object} repo - リポジトリデータ
+     * @returns {{image: string|null, imageSources: Array<string>, placeholderImage: string}} 画像情報
+     */
+    resolvePreviewImage(repo) {
+        const owner = repo.owner ? repo.owner.login : GITHUB_CONFIG.USERNAME;
+        const branch = repo.default_branch || 'main';
+        const imageSources = [];
 
-        if (!response.ok) {
-            throw new Error(`GitHub API エラー: ${response.status} ${response.statusText}`);
+        if ((repo.topics || []).includes(GITHUB_CONFIG.PREVIEW_TOPIC)) {
+            imageSources.push(`https://raw.githubusercontent.com/${owner}/${repo.name}/${branch}/${GITHUB_CONFIG.PREVIEW_IMAGE_PATH}`);
         }
 
-        // レート制限ヘッダーをログ出力
-        this.logRateLimit(response);
+        if (GITHUB_CONFIG.USE_OPENGRAPH_IMAGE) {
+            imageSources.push(`https://opengraph.githubassets.com/1/${owner}/${repo.name}`);
+        }
 
-        const data = await response.json();
-        console.log('GitHub API: JSON解析完了', `${data.length}件のリポジトリ`);
-        
-        return data;
+        return {
+            image: imageSources[0] || null,
+            imageSources,
+            placeholderImage: this.createPlaceholderImage(repo.name, repo.language)
+        };
     }
 
     /**
-     * リポジトリデータの加工処理
+     * プロジェクト名の頭文字と言語色でプレースホルダー画像（SVGのデータURI）を生成
      * @private
-     * @param {Array} repos - 生のリポジトリデータ
-     * @returns {Array} 加工済みリポジトリデータ
+     * @param {string} name - プロジェクト名
+     * @param {string|null} language - 主要言語
+     * @returns {string} SVGのデータURI
      */
-    processRepositories(repos) {
-        return repos
-            .filter(repo => !GITHUB_CONFIG.EXCLUDED_REPOS.includes(repo.name))
-            .filter(repo => !repo.fork) // フォークリポジトリを除外
-            .map(repo => ({
-                id: `github-${repo.name}`,
-                title: repo.name,
-                description: repo.description || '説明がありません',
-                technologies: this.extractTechnologies(repo),
-                image: null, // 将来的にOGP画像など追加検討
-                demoUrl: this.getDemoUrl(repo),
-                sourceUrl: repo.html_url,
-                status: 'completed',
-                featured: this.isFeaturedRepo(repo),
-                githubData: {
-                    stars: repo.stargazers_count,
-                    language: repo.language,
-                    updatedAt: new Date(repo.updated_at),
-                    createdAt: new Date(repo.created_at),
-                    topics: repo.topics || []
-                }
-            }))
-            .sort((a, b) => {
-                // 注目リポジトリを優先
-                if (a.featured && !b.featured) return -1;
-                if (!a.featured && b.featured) return 1;
-                // 次にスター数で並び替え
-                return (b.githubData.stars || 0) - (a.githubData.stars || 0);
-            });
+    createPlaceholderImage(name, language) {
+        const words = name
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .split(/[\s._-]+/)
+            .filter(word => /^[a-z0-9]/i.test(word));
+        const initials = (words.length > 1 ?
+            words[0].charAt(0) + words[1].charAt(0) :
+            name.replace(/[^a-z0-9]/gi, '').slice(0, 2)
+        ).toUpperCase() || '?';
+        const color = LANGUAGE_COLORS[language] || DEFAULT_LANGUAGE_COLOR;
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="640" height="320" viewBox="0 0 640 320">` +
+            `<rect width="640" height="320" fill="${color}"/>` +
+            `<rect width="640" height="320" fill="#000" fill-opacity="0.15"/>` +
+            `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#fff" ` +
+            `font-family="Inter, sans-serif" font-size="120" font-weight="700">${initials}</text>` +
+            `</svg>`;
+
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
     }
 
     /**
      * リポジトリから技術スタックを抽出
+     * 主要言語と、技術タクソノミーの別名に完全一致するトピックを正式名称で返す
      * @private
      * @param {Object} repo - リポジトリデータ
      * @returns {Array} 技術スタック配列
@@ -164,223 +1663,205 @@ class GitHubApiClient {
     extractTechnologies(repo) {
         const technologies = [];
 
-        // 主要言語を追加
+        // 主要言語を追加（タクソノミーにない言語もそのまま表示する）
         if (repo.language) {
             technologies.push(repo.language);
         }
 
         // トピック（タグ）から技術を抽出
-        if (repo.topics && repo.topics.length > 0) {
-            const techTopics = repo.topics.filter(topic => 
-                this.isTechnologyTopic(topic)
-            );
-            technologies.push(...techTopics);
-        }
+        (repo.topics || []).forEach(topic => {
+            if (technologyTaxonomy.find(topic)) {
+                technologies.push(topic);
+            }
+        });
 
-        // 重複削除と大文字小文字統一
-        return [...new Set(technologies)]
-            .map(tech => this.normalizeTechnologyName(tech))
+        // 正式名称に揃えてから重複削除
+        return technologyTaxonomy.normalizeAll(technologies)
             .slice(0, 6); // 最大6個まで表示
     }
 
     /**
-     * 技術関連のトピックかどうか判定
+     * デモURLの候補を取得（homepage優先、なければGitHub Pages）
+     * この時点では未確認の候補であり、verifyDemos() で検証する
      * @private
-     * @param {string} topic - トピック名
-     * @returns {boolean} 技術関連かどうか
+     * @param {Object} repo - リポジトリデータ
+     * @returns {string|null} デモURL
      */
-    isTechnologyTopic(topic) {
-        const techKeywords = [
-            'javascript', 'typescript', 'python', 'java', 'html', 'css',
-            'react', 'vue', 'angular', 'node', 'express', 'flask', 'django',
-            'git', 'docker', 'mongodb', 'mysql', 'postgresql',
-            'frontend', 'backend', 'api', 'rest'
-        ];
-        
-        return techKeywords.some(keyword => 
-            topic.toLowerCase().includes(keyword)
-        );
+    getDemoUrl(repo) {
+        return this.getHomepageUrl(repo) || this.getGitHubPagesUrl(repo);
     }
 
     /**
-     * 技術名の正規化
+     * リポジトリに設定されたhomepageを取得
      * @private
-     * @param {string} tech - 技術名
-     * @returns {string} 正規化された技術名
+     * @param {Object} repo - リポジトリデータ
+     * @returns {string|null} 有効なHTTP(S)のURL、またはnull
      */
-    normalizeTechnologyName(tech) {
-        const nameMap = {
-            'javascript': 'JavaScript',
-            'typescript': 'TypeScript',
-            'python': 'Python',
-            'html': 'HTML',
-            'css': 'CSS',
-            'react': 'React',
-            'vue': 'Vue.js',
-            'node': 'Node.js'
-        };
-        
-        const normalized = nameMap[tech.toLowerCase()];
-        return normalized || tech.charAt(0).toUpperCase() + tech.slice(1);
+    getHomepageUrl(repo) {
+        const homepage = (repo.homepage || '').trim();
+        if (!homepage) return null;
+
+        try {
+            const urlObj = new URL(homepage);
+            return ['http:', 'https:'].includes(urlObj.protocol) ? urlObj.href : null;
+        } catch {
+            return null;
+        }
     }
 
     /**
-     * デモURLを取得（Vercel優先、なければGitHub Pages）
+     * GitHub PagesのURLを生成
+     * repo.has_pages が有効なリポジトリのみ対象とする
      * @private
      * @param {Object} repo - リポジトリデータ
-     * @returns {string|null} デモURL
+     * @returns {string|null} GitHub PagesのURL
      */
-    getDemoUrl(repo) {
-        // 1. repo.homepage がある場合、まずそれを確認
-        if (repo.homepage) {
-            const homepage = repo.homepage.trim();
-            
-            // Vercelドメインの場合は最優先
-            if (this.isVercelUrl(homepage)) {
-                return homepage;
-            }
-            
-            // 他のデプロイサービスも有効とみなす
-            if (this.isValidDeployUrl(homepage)) {
-                return homepage;
-            }
-        }
+    getGitHubPagesUrl(repo) {
+        if (!repo.has_pages) return null;
+
+        const owner = (repo.owner ? repo.owner.login : GITHUB_CONFIG.USERNAME).toLowerCase();
+        const repoName = repo.name;
         
-        // 2. GitHub Pagesの確認
-        const githubPagesUrl = this.getGitHubPagesUrl(repo);
-        if (githubPagesUrl) {
-            return githubPagesUrl;
+        // ユーザーサイト（username.github.io）の場合
+        if (repoName.toLowerCase() === `${owner}.github.io`) {
+            return `https://${owner}.github.io/`;
         }
         
-        // 3. homepageがあったが無効だった場合
-        if (repo.homepage && repo.homepage.trim()) {
-            return repo.homepage.trim();
+        // プロジェクトサイトの場合
+        return `https://${owner}.github.io/${repoName}/`;
+    }
+
+    /**
+     * 表示するプロジェクトのデモURLを検証
+     * demoUrl と demoStatus（'verified' | 'unverified' | 'unavailable'）を更新する
+     * @param {Array} projects - processRepositories() で加工済みのプロジェクト
+     * @returns {Promise<Array>} 検証済みのプロジェクト（同じ配列）
+     */
+    async verifyDemos(projects) {
+        if (!GITHUB_CONFIG.VERIFY_DEMOS) return projects;
+
+        for (const project of projects) {
+            if (!this.isGitHubProject(project) || project.demoVerified) continue;
+
+            try {
+                const result = await this.verifyDemo(project.githubData);
+                project.demoUrl = result.url;
+                project.demoStatus = result.status;
+                project.demoVerified = true;
+            } catch (error) {
+                ErrorHandler.log(error, `GitHub API デモ検証 (${project.githubData.name})`, 'api');
+            }
         }
-        
-        return null;
+
+        return projects;
     }
 
     /**
-     * VercelのURLかどうか判定
+     * 1プロジェクトのデモURLを検証
+     * GitHub Pages API の結果を優先し、homepageは任意でHEADリクエストにより到達確認する
      * @private
-     * @param {string} url - チェックするURL
-     * @returns {boolean} VercelのURLかどうか
+     * @param {Object} githubData - プロジェクトの githubData
+     * @returns {Promise<{url: string|null, status: string}>} 検証結果
      */
-    isVercelUrl(url) {
-        const vercelDomains = [
-            'vercel.app',
-            'vercel.com',
-            'now.sh'
-        ];
-        
-        try {
-            const urlObj = new URL(url);
-            return vercelDomains.some(domain => 
-                urlObj.hostname.endsWith(domain)
-            );
-        } catch {
-            return false;
+    async verifyDemo(githubData) {
+        const { owner, name, hasPages, homepage } = githubData;
+        const pagesUrl = hasPages ? await this.getPagesUrl(owner, name) : null;
+
+        if (homepage) {
+            // homepageがGitHub Pagesのサイトを指している場合は確認済みとする
+            if (pagesUrl && this.isSameSite(homepage, pagesUrl)) {
+                return { url: homepage, status: 'verified' };
+            }
+
+            if (GITHUB_CONFIG.PROBE_HOMEPAGE) {
+                const reachable = await this.probeUrl(homepage);
+                if (reachable) return { url: homepage, status: 'verified' };
+                if (!pagesUrl) return { url: null, status: 'unavailable' };
+            } else {
+                return { url: homepage, status: 'unverified' };
+            }
         }
+
+        if (pagesUrl) {
+            return { url: pagesUrl, status: 'verified' };
+        }
+
+        return { url: null, status: 'unavailable' };
     }
 
     /**
-     * 有効なデプロイURLかどうか判定
+     * GitHub Pages APIから公開URLを取得
      * @private
-     * @param {string} url - チェックするURL
-     * @returns {boolean} 有効なデプロイURLかどうか
+     * @param {string} owner - リポジトリの所有者
+     * @param {string} repoName - リポジトリ名
+     * @returns {Promise<string|null>} 公開中のPagesのURL、または未公開・ビルド失敗時はnull
      */
-    isValidDeployUrl(url) {
-        const deployDomains = [
-            'netlify.app',
-            'netlify.com',
-            'herokuapp.com',
-            'github.io',
-            'pages.dev', // Cloudflare Pages
-            'railway.app',
-            'surge.sh'
-        ];
-        
+    async getPagesUrl(owner, repoName) {
+        const url = `${GITHUB_CONFIG.API_BASE_URL}/repos/${owner}/${repoName}/pages`;
+
         try {
-            const urlObj = new URL(url);
-            // HTTPまたはHTTPS
-            if (!['http:', 'https:'].includes(urlObj.protocol)) {
-                return false;
-            }
-            
-            // デプロイサービスのドメインチェック
-            return deployDomains.some(domain => 
-                urlObj.hostname.endsWith(domain)
-            );
-        } catch {
-            return false;
+            const { data } = await this.requestJson(url);
+            if (!data || !data.html_url || data.status === 'errored') return null;
+            return data.html_url;
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
         }
     }
 
     /**
-     * GitHub PagesのURLを生成
+     * URLへの到達確認（HEADリクエスト）
+     * no-corsのため内容は確認できず、接続できたかどうかのみを判定する。結果はキャッシュする。
      * @private
-     * @param {Object} repo - リポジトリデータ
-     * @returns {string|null} GitHub PagesのURL
+     * @param {string} url - 確認するURL
+     * @returns {Promise<boolean>} 到達できたかどうか
      */
-    getGitHubPagesUrl(repo) {
-        const username = GITHUB_CONFIG.USERNAME;
-        const repoName = repo.name;
-        
-        // ユーザーサイト（username.github.io）の場合
-        if (repoName === `${username}.github.io`) {
-            return `https://${username}.github.io/`;
+    async probeUrl(url) {
+        const cacheKey = `probe:${url}`;
+        const cached = this.store.get(cacheKey);
+        if (this.store.isFresh(cached, GITHUB_CONFIG.CACHE_DURATION)) {
+            return cached.data.reachable;
         }
-        
-        // プロジェクトサイトの場合
-        // GitHub Pagesが有効かどうかの確認は難しいため、
-        // 一般的なパターンでURLを生成
-        const githubPagesUrl = `https://${username}.github.io/${repoName}/`;
-        
-        // リポジトリに index.html または README.md が存在する可能性が高い場合のみ返す
-        // ここでは簡易的に、特定の条件を満たす場合のみGitHub Pages URLを返す
-        if (this.likelyHasGitHubPages(repo)) {
-            return githubPagesUrl;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), GITHUB_CONFIG.DEMO_PROBE_TIMEOUT);
+        let reachable;
+
+        try {
+            await fetch(url, { method: 'HEAD', mode: 'no-cors', signal: controller.signal });
+            reachable = true;
+        } catch {
+            reachable = false;
+        } finally {
+            clearTimeout(timer);
         }
-        
-        return null;
+
+        this.store.set(cacheKey, { data: { reachable } });
+        return reachable;
     }
 
     /**
-     * GitHub Pagesが有効である可能性が高いかどうか判定
+     * 2つのURLが同じサイト（ホストとパス接頭辞）を指すかどうか
      * @private
-     * @param {Object} repo - リポジトリデータ
-     * @returns {boolean} GitHub Pagesが有効である可能性
+     * @param {string} url - 判定するURL
+     * @param {string} siteUrl - サイトのルートURL
+     * @returns {boolean} 同じサイトかどうか
      */
-    likelyHasGitHubPages(repo) {
-        const repoName = repo.name.toLowerCase();
-        const description = (repo.description || '').toLowerCase();
-        const topics = repo.topics || [];
-        
-        // 1. 明確にWebサイト関連のリポジトリ
-        const webKeywords = [
-            'website', 'site', 'page', 'portfolio', 'blog', 'docs',
-            'documentation', 'demo', 'landing', 'web'
-        ];
-        
-        const hasWebKeyword = 
-            webKeywords.some(keyword => repoName.includes(keyword)) ||
-            webKeywords.some(keyword => description.includes(keyword)) ||
-            topics.some(topic => webKeywords.includes(topic.toLowerCase()));
-        
-        // 2. フロントエンド技術を使用
-        const frontendTech = ['html', 'css', 'javascript', 'react', 'vue'];
-        const hasFrontendTech = 
-            frontendTech.includes(repo.language?.toLowerCase()) ||
-            topics.some(topic => frontendTech.includes(topic.toLowerCase()));
-        
-        // 3. GitHub Pagesトピックが明示的に設定されている
-        const hasGitHubPagesTopic = topics.includes('github-pages');
-        
-        return hasWebKeyword || hasFrontendTech || hasGitHubPagesTopic;
+    isSameSite(url, siteUrl) {
+        try {
+            const target = new URL(url);
+            const site = new URL(siteUrl);
+            const sitePath = site.pathname.endsWith('/') ? site.pathname : `${site.pathname}/`;
+            const targetPath = target.pathname.endsWith('/') ? target.pathname : `${target.pathname}/`;
+            return target.hostname === site.hostname && targetPath.startsWith(sitePath);
+        } catch {
+            return false;
+        }
     }
 
     /**
      * 注目リポジトリかどうか判定
+     * ピン留めリポジトリを取得できない場合（GraphQL未設定時）の判定
      * @private
      * @param {Object} repo - リポジトリデータ
      * @returns {boolean} 注目リポジトリかどうか
@@ -412,25 +1893,157 @@ class GitHubApiClient {
     }
 
     /**
-     * レート制限情報をログ出力
+     * レート制限ヘッダーを記録
      * @private
      * @param {Response} response - APIレスポンス
      * @returns {void}
      */
-    logRateLimit(response) {
+    updateRateLimit(response) {
+        const limit = response.headers.get('X-RateLimit-Limit');
         const remaining = response.headers.get('X-RateLimit-Remaining');
         const reset = response.headers.get('X-RateLimit-Reset');
         
         if (remaining && reset) {
             const resetTime = new Date(parseInt(reset) * 1000);
-            console.log(`GitHub API Rate Limit: 残り${remaining}回 (リセット: ${resetTime.toLocaleTimeString()})`);
+            this.rateLimit = {
+                limit: limit ? parseInt(limit) : null,
+                remaining: parseInt(remaining),
+                resetAt: resetTime
+            };
+            logger.debug('api', `GitHub API Rate Limit: 残り${remaining}回 (リセット: ${resetTime.toLocaleTimeString()})`);
             
             if (parseInt(remaining) < 10) {
-                console.warn('GitHub API レート制限に近づいています');
+                logger.warn('api', 'GitHub API レート制限に近づいています');
             }
         }
     }
 
+    /**
+     * レート制限超過のレスポンスかどうか判定
+     * @private
+     * @param {Response} response - APIレスポンス
+     * @returns {boolean} レート制限超過かどうか
+     */
+    isRateLimitResponse(response) {
+        if (response.status === 429) return true;
+        if (response.status !== 403) return false;
+
+        // 403は権限エラーの場合もあるため、残り回数かRetry-Afterで判定
+        return response.headers.get('X-RateLimit-Remaining') === '0' ||
+            response.headers.has('Retry-After');
+    }
+
+    /**
+     * 再試行までの待機時間を取得
+     * Retry-After（秒）を優先し、なければX-RateLimit-Resetまでの時間を使う
+     * @private
+     * @param {Response} response - APIレスポンス
+     * @param {boolean} [useRateLimitReset] - Retry-Afterがない場合にX-RateLimit-Resetを使うか
+     * @returns {number|null} 待機時間（ミリ秒）。不明な場合はnull
+     */
+    getRetryDelay(response, useRateLimitReset = true) {
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter && !isNaN(parseInt(retryAfter))) {
+            return parseInt(retryAfter) * 1000;
+        }
+
+        if (useRateLimitReset && this.rateLimit.resetAt) {
+            return Math.max(0, this.rateLimit.resetAt.getTime() - Date.now());
+        }
+
+        return null;
+    }
+
+    /**
+     * 指定時間後までAPI呼び出しを停止
+     * @private
+     * @param {number|null} delay - 停止する時間（ミリ秒）。nullの場合はX-RateLimit-Resetに従う
+     * @returns {void}
+     */
+    blockUntil(delay) {
+        if (delay !== null) {
+            this.rateLimit.resetAt = new Date(Date.now() + delay);
+        }
+        this.rateLimit.remaining = 0;
+    }
+
+    /**
+     * 認証済みの上限でAPIを呼び出しているか（トークンを付与するプロキシ経由など）
+     * 直近のレスポンスの X-RateLimit-Limit で判定する。フィクスチャの再生中は上限がないため true
+     * @returns {boolean} 認証済みかどうか
+     */
+    isAuthenticated() {
+        if (this.fixtureMode === 'replay') return true;
+
+        const { limit } = this.rateLimit;
+        return limit !== null && limit > GITHUB_CONFIG.UNAUTHENTICATED_RATE_LIMIT;
+    }
+
+    /**
+     * レート制限によりAPI呼び出しを停止中かどうか
+     * @returns {boolean} 停止中かどうか
+     */
+    isRateLimited() {
+        const { remaining, resetAt } = this.rateLimit;
+        return remaining === 0 && resetAt instanceof Date && resetAt.getTime() > Date.now();
+    }
+
+    /**
+     * レート制限で停止中の場合の解除時刻を取得
+     * @returns {Date|null} 解除時刻（停止中でない場合はnull）
+     */
+    getRateLimitReset() {
+        return this.isRateLimited() ? this.rateLimit.resetAt : null;
+    }
+
+    /**
+     * 状態オブジェクトを生成
+     * @private
+     * @param {string} state - 'ok' | 'partial'（一部のアカウントのみ取得） | 'rate-limited' | 'offline' | 'error'
+     * @param {Object} details - 付加情報（resetAt, cachedAt, message）
+     * @returns {Object} 状態オブジェクト
+     */
+    createStatus(state, details = {}) {
+        return {
+            state,
+            resetAt: details.resetAt || null,
+            cachedAt: details.cachedAt || null,
+            snapshotAt: details.snapshotAt || null, // フォールバックにスナップショットを使用した場合の生成日時
+            message: details.message || ''
+        };
+    }
+
+    /**
+     * API状態を更新
+     * リポジトリ一覧の取得結果を表す（付加情報・イベント等の取得では更新しない）。
+     * 取得のたびに resetStatus() で初期化し、同じ取得処理の中では最初に発生した異常を優先して保持する
+     * @private
+     * @param {string} state - 状態
+     * @param {Object} details - 付加情報
+     * @returns {void}
+     */
+    setStatus(state, details = {}) {
+        if (this.status.state !== 'ok' && state !== 'ok') return;
+        this.status = this.createStatus(state, details);
+    }
+
+    /**
+     * API状態を初期化
+     * @private
+     * @returns {void}
+     */
+    resetStatus() {
+        this.status = this.createStatus('ok');
+    }
+
+    /**
+     * 画面表示用のAPI状態を取得
+     * @returns {{state: string, resetAt: Date|null, cachedAt: Date|null, snapshotAt: Date|null, message: string}} API状態
+     */
+    getStatus() {
+        return { ...this.status };
+    }
+
     /**
      * キャッシュからデータを取得
      * @private
@@ -466,14 +2079,96 @@ class GitHubApiClient {
 
     /**
      * フォールバック用の静的リポジトリデータ
+     * ビルド時に生成したスナップショットがあればそれを使用する
      * @private
-     * @returns {Array} 静的プロジェクトデータ
+     * @returns {Promise<Array>} 静的プロジェクトデータ
      */
-    getFallbackRepositories() {
-        console.warn('GitHub API: フォールバックデータを使用');
+    async getFallbackRepositories() {
+        logger.warn('api', 'GitHub API: フォールバックデータを使用');
+        
+        const snapshot = await this.loadSnapshot();
+        if (!snapshot) {
+            // GitHub API障害時も不要なプロジェクトは表示しない
+            return [];
+        }
         
-        // GitHub API障害時も不要なプロジェクトは表示しない
-        return [];
+        this.status = { ...this.status, snapshotAt: snapshot.generatedAt };
+        return snapshot.projects;
+    }
+
+    /**
+     * ビルド時に生成したプロジェクトデータのスナップショットを読み込む
+     * 初回表示とAPI障害時のフォールバックに使用する。存在しない場合はnull。
+     * @returns {Promise<{generatedAt: Date, projects: Array}|null>} スナップショット
+     */
+    loadSnapshot() {
+        if (!this.snapshotPromise) {
+            this.snapshotPromise = this.fetchSnapshot();
+        }
+        return this.snapshotPromise.then(snapshot => snapshot && {
+            generatedAt: snapshot.generatedAt,
+            // 呼び出し側での加工がスナップショットに影響しないよう複製して返す
+            // 生成後に変更された個別設定も反映する
+            projects: snapshot.projects
+                .filter(project => !(project.githubData ?
+                    this.isHiddenByOverride(project.githubData.name, project.githubData.owner) :
+                    this.isHiddenByOverride(project.title)))
+                .map(project => this.applyOverrides(this.reviveProject(project)))
+        });
+    }
+
+    /**
+     * スナップショットファイルを取得
+     * @private
+     * @returns {Promise<{generatedAt: Date, projects: Array}|null>} スナップショット
+     */
+    async fetchSnapshot() {
+        try {
+            const response = await fetch(GITHUB_CONFIG.SNAPSHOT_URL, { cache: 'no-cache' });
+            if (!response.ok) {
+                logger.warn('api', `GitHub API: スナップショットがありません (${response.status})`);
+                return null;
+            }
+
+            const snapshot = await response.json();
+            if (!snapshot || !Array.isArray(snapshot.projects)) return null;
+
+            return {
+                generatedAt: new Date(snapshot.generatedAt),
+                projects: snapshot.projects
+            };
+        } catch (error) {
+            ErrorHandler.log(error, 'スナップショット読み込み', 'api');
+            return null;
+        }
+    }
+
+    /**
+     * JSONから読み込んだプロジェクトの日付などを復元
+     * @private
+     * @param {Object} project - JSONのプロジェクトデータ
+     * @returns {Object} 復元したプロジェクトデータ
+     */
+    reviveProject(project) {
+        if (!project.githubData) return { ...project };
+
+        return {
+            ...project,
+            githubData: {
+                ...project.githubData,
+                updatedAt: new Date(project.githubData.updatedAt),
+                pushedAt: new Date(project.githubData.pushedAt || project.githubData.updatedAt),
+                createdAt: new Date(project.githubData.createdAt),
+                topics: project.githubData.topics || [],
+                languages: Array.isArray(project.githubData.languages) ? project.githubData.languages : null,
+                releases: Array.isArray(project.githubData.releases) ?
+                    project.githubData.releases.map(release => ({ ...release, publishedAt: new Date(release.publishedAt) })) :
+                    null,
+                latestRelease: project.githubData.latestRelease ?
+                    { ...project.githubData.latestRelease, publishedAt: new Date(project.githubData.latestRelease.publishedAt) } :
+                    project.githubData.latestRelease
+            }
+        };
     }
 
     /**
@@ -490,7 +2185,25 @@ class GitHubApiClient {
      */
     clearCache() {
         this.cache.clear();
-        console.log('GitHub API: キャッシュをクリアしました');
+        this.store.clear();
+        logger.info('api', 'GitHub API: キャッシュをクリアしました');
+    }
+
+    /**
+     * リポジトリ一覧の取得結果のキャッシュを破棄（再試行時に再取得させるため）
+     * 加工済みのデータは削除し、永続キャッシュに保存した一覧の各ページ・ピン留めのレスポンスは期限切れにする。
+     * 保存済みのレスポンスは新しいレスポンスで置き換わるまで残し、再取得に失敗した場合の表示に使う
+     * @param {Array<string>} [urls] - 合わせて期限切れにするレスポンスのURL（他のプロバイダーの一覧など）
+     * @returns {void}
+     */
+    clearRepositoryCache(urls = []) {
+        const keys = new Set([...this.repositoryPageUrls, ...urls]);
+
+        this.cache.delete('user-repositories');
+        this.store.expireWhere(key => keys.has(key) || key.startsWith('graphql:'));
+        this.repositoryPageUrls.clear();
+        this.resetStatus();
+        logger.debug('api', 'GitHub API: リポジトリ一覧のキャッシュを期限切れにしました', [...keys]);
     }
 }
 
@@ -502,6 +2215,8 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         GitHubApiClient,
         githubApi,
-        GITHUB_CONFIG
+        GITHUB_CONFIG,
+        LANGUAGE_COLORS,
+        DEFAULT_LANGUAGE_COLOR
     };
 }
\ No newline at end of file
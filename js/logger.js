@@ -0,0 +1,308 @@
+/**
+ * ロガーモジュール
+ * レベル（debug/info/warn/error）と名前空間（api/app/render）付きでログを出力する。
+ * 公開サイトでは warn 以上のみ出力し、URLパラメータ ?debug またはlocalStorageのフラグでdebug出力を有効にする。
+ * warn・error は出力の有無にかかわらずリングバッファに保持し、不具合報告用に書き出せる。
+ */
+
+// ロガー設定
+const LOGGER_CONFIG = {
+    LEVELS: { debug: 10, info: 20, warn: 30, error: 40 },
+    DEFAULT_LEVEL: 'warn',           // 公開サイトで出力する最低レベル
+    LOCAL_LEVEL: 'info',             // localhost・ファイルで開いた場合の最低レベル
+    DEBUG_PARAM: 'debug',            // ?debug（全名前空間）・?debug=api,render（指定した名前空間のみ）
+    STORAGE_KEY: 'portfolio-debug',  // localStorageのフラグ（値は '*' または 'api,render'）
+    ENV_KEY: 'PORTFOLIO_DEBUG',      // Node.js（scripts/）で使用する環境変数
+    BUFFER_SIZE: 200,                // リングバッファに保持する件数（古いものから破棄）
+    BUFFER_LEVEL: 'warn',            // リングバッファに保持する最低レベル
+    MAX_DETAIL_LENGTH: 2000          // リングバッファに保持する付加情報の最大文字数
+};
+
+/**
+ * ロガークラス
+ * 使い方: logger.debug('api', 'メッセージ', 付加情報...)
+ */
+class Logger {
+    /**
+     * @param {Object} config - ロガー設定
+     */
+    constructor(config = LOGGER_CONFIG) {
+        this.config = config;
+        // 出力する最低レベル
+        this.level = config.DEFAULT_LEVEL;
+        // debug出力を有効にした名前空間（'*' は全て）
+        this.debugNamespaces = new Set();
+        // warn・error の履歴（不具合報告用）
+        this.buffer = [];
+
+        this.applySettings(this.readSettings());
+    }
+
+    /**
+     * debugレベルのログを出力
+     * @param {string} namespace - 名前空間（api | app | render）
+     * @param {string} message - メッセージ
+     * @param {...any} details - 付加情報
+     * @returns {void}
+     */
+    debug(namespace, message, ...details) {
+        this.write('debug', namespace, message, details);
+    }
+
+    /**
+     * infoレベルのログを出力
+     * @param {string} namespace - 名前空間
+     * @param {string} message - メッセージ
+     * @param {...any} details - 付加情報
+     * @returns {void}
+     */
+    info(namespace, message, ...details) {
+        this.write('info', namespace, message, details);
+    }
+
+    /**
+     * warnレベルのログを出力
+     * @param {string} namespace - 名前空間
+     * @param {string} message - メッセージ
+     * @param {...any} details - 付加情報
+     * @returns {void}
+     */
+    warn(namespace, message, ...details) {
+        this.write('warn', namespace, message, details);
+    }
+
+    /**
+     * errorレベルのログを出力
+     * @param {string} namespace - 名前空間
+     * @param {string} message - メッセージ
+     * @param {...any} details - 付加情報（Errorオブジェクト等）
+     * @returns {void}
+     */
+    error(namespace, message, ...details) {
+        this.write('error', namespace, message, details);
+    }
+
+    /**
+     * 指定したレベル・名前空間のログを出力するか
+     * @param {string} level - ログレベル
+     * @param {string} namespace - 名前空間
+     * @returns {boolean} 出力するかどうか
+     */
+    isEnabled(level, namespace) {
+        if (this.debugNamespaces.has('*') || this.debugNamespaces.has(namespace)) return true;
+        return this.config.LEVELS[level] >= this.config.LEVELS[this.level];
+    }
+
+    /**
+     * debug出力を有効にし、localStorageに保存（再読み込み後も有効）
+     * @param {string} [namespaces] - カンマ区切りの名前空間（'*' は全て）
+     * @returns {void}
+     */
+    enable(namespaces = '*') {
+        this.saveFlag(namespaces);
+        this.applySettings(namespaces);
+    }
+
+    /**
+     * debug出力を無効にし、localStorageのフラグを削除
+     * @returns {void}
+     */
+    disable() {
+        this.saveFlag(null);
+        this.applySettings(null);
+    }
+
+    /**
+     * リングバッファの内容を取得
+     * @returns {Array<{time: string, level: string, namespace: string, message: string, details: Array}>} 古い順のログ
+     */
+    getEntries() {
+        return [...this.buffer];
+    }
+
+    /**
+     * リングバッファの内容を不具合報告用のJSON文字列として書き出す
+     * @returns {string} 環境情報とログを含むJSON
+     */
+    exportLogs() {
+        const hasWindow = typeof window !== 'undefined';
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            url: hasWindow && window.location ? window.location.href : null,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            entries: this.getEntries()
+        }, null, 2);
+    }
+
+    /**
+     * リングバッファの内容をJSONファイルとしてダウンロード（ブラウザのみ）
+     * @returns {void}
+     */
+    downloadLogs() {
+        const blob = new Blob([this.exportLogs()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `portfolio-logs-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * リングバッファを空にする
+     * @returns {void}
+     */
+    clearEntries() {
+        this.buffer = [];
+    }
+
+    /**
+     * ログを記録・出力
+     * @private
+     * @param {string} level - ログレベル
+     * @param {string} namespace - 名前空間
+     * @param {string} message - メッセージ
+     * @param {Array} details - 付加情報
+     * @returns {void}
+     */
+    write(level, namespace, message, details) {
+        if (this.config.LEVELS[level] >= this.config.LEVELS[this.config.BUFFER_LEVEL]) {
+            this.record(level, namespace, message, details);
+        }
+
+        if (!this.isEnabled(level, namespace)) return;
+
+        // console.debug は既定で非表示のブラウザがあるため debug も console.log で出力する
+        const method = level === 'debug' ? 'log' : level;
+        console[method](`[${namespace}] ${message}`, ...details);
+    }
+
+    /**
+     * リングバッファに追加（上限を超えた分は古いものから破棄）
+     * @private
+     * @param {string} level - ログレベル
+     * @param {string} namespace - 名前空間
+     * @param {string} message - メッセージ
+     * @param {Array} details - 付加情報
+     * @returns {void}
+     */
+    record(level, namespace, message, details) {
+        this.buffer.push({
+            time: new Date().toISOString(),
+            level,
+            namespace,
+            message: String(message),
+            details: details.map(detail => this.serialize(detail))
+        });
+
+        if (this.buffer.length > this.config.BUFFER_SIZE) {
+            this.buffer.shift();
+        }
+    }
+
+    /**
+     * 付加情報を書き出せる形に変換
+     * @private
+     * @param {any} value - 付加情報
+     * @returns {any} JSONに変換できる値
+     */
+    serialize(value) {
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: value.message,
+                status: value.status,
+                stack: value.stack
+            };
+        }
+        if (value === null || typeof value !== 'object') return value;
+
+        try {
+            const json = JSON.stringify(value);
+            return json.length > this.config.MAX_DETAIL_LENGTH ?
+                `${json.slice(0, this.config.MAX_DETAIL_LENGTH)}…` :
+                value;
+        } catch {
+            return String(value);
+        }
+    }
+
+    /**
+     * URLパラメータ・localStorage・環境変数からdebug出力の設定を読み込む
+     * @private
+     * @returns {string|null} カンマ区切りの名前空間（'*' は全て）。未設定の場合はnull
+     */
+    readSettings() {
+        if (typeof window !== 'undefined' && window.location) {
+            const params = new URLSearchParams(window.location.search);
+            if (params.has(this.config.DEBUG_PARAM)) {
+                return params.get(this.config.DEBUG_PARAM) || '*';
+            }
+
+            try {
+                return localStorage.getItem(this.config.STORAGE_KEY);
+            } catch {
+                return null;
+            }
+        }
+
+        if (typeof process !== 'undefined' && process.env) {
+            return process.env[this.config.ENV_KEY] || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * debug出力のフラグをlocalStorageに保存
+     * @private
+     * @param {string|null} namespaces - 保存する値（nullの場合は削除）
+     * @returns {void}
+     */
+    saveFlag(namespaces) {
+        try {
+            if (namespaces) {
+                localStorage.setItem(this.config.STORAGE_KEY, namespaces);
+            } else {
+                localStorage.removeItem(this.config.STORAGE_KEY);
+            }
+        } catch {
+            // localStorageが使えない場合は現在のページのみ有効
+        }
+    }
+
+    /**
+     * 出力レベルとdebug出力する名前空間を設定
+     * @private
+     * @param {string|null} namespaces - カンマ区切りの名前空間
+     * @returns {void}
+     */
+    applySettings(namespaces) {
+        this.debugNamespaces = new Set(
+            (namespaces || '').split(',').map(name => name.trim()).filter(Boolean)
+        );
+        this.level = this.isLocal() ? this.config.LOCAL_LEVEL : this.config.DEFAULT_LEVEL;
+    }
+
+    /**
+     * 開発環境（localhost・ファイル）で開いているか
+     * @private
+     * @returns {boolean} 開発環境かどうか
+     */
+    isLocal() {
+        if (typeof window === 'undefined' || !window.location) return false;
+        return ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+    }
+}
+
+// グローバルインスタンス
+const logger = new Logger();
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOGGER_CONFIG,
+        Logger,
+        logger
+    };
+}
\ No newline at end of file
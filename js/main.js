@@ -17,42 +17,72 @@ const CONFIG = {
     PLACEHOLDER_IMAGE: 'images/placeholder.svg',
     DEFAULT_PROJECT_IMAGE: 'images/default-project.jpg',
     
+    // プロジェクト一覧の表示件数
+    PROJECTS_PAGE_SIZE: 12,            // 最初に表示する件数・「もっと見る」で追加する件数
+    PROJECTS_AUTO_LOAD: true,          // 一覧の末尾が画面に近づいたら自動で追加するか
+    PROJECTS_AUTO_LOAD_MARGIN: '200px',
+    PROJECTS_SKELETON_COUNT: 6,        // 読み込み中に表示するカードのプレースホルダー数
+    
     // メッセージ
     MESSAGES: {
         LOADING: '読み込み中...',
         ERROR: 'エラーが発生しました',
         NO_PROJECTS: 'プロジェクトがありません',
-        NO_SKILLS: 'スキル情報がありません'
+        NO_SKILLS: 'スキル情報がありません',
+        SNAPSHOT_LOADING: '{date}時点のデータを表示しています（最新データを取得中...）',
+        SNAPSHOT_FALLBACK: '最新データを取得できなかったため、{date}時点のデータを表示しています',
+        README_LOADING: 'READMEを読み込み中...',
+        NO_README: 'READMEがありません',
+        README_ERROR: 'READMEの取得に失敗しました',
+        RELEASES_ERROR: 'リリースの取得に失敗しました',
+        NO_ACTIVITY: '最近のアクティビティはありません',
+        ACTIVITY_ERROR: 'アクティビティの取得に失敗しました',
+        RATE_LIMITED_CACHED: 'GitHubのレート制限に達したため、{time}時点のキャッシュを表示しています',
+        RATE_LIMITED: 'GitHubのレート制限に達しました。{time}以降に再度お試しください',
+        RATE_LIMITED_UNKNOWN: 'GitHubのレート制限に達しました。しばらくしてから再度お試しください',
+        OFFLINE_CACHED: 'GitHubに接続できないため、{time}時点のキャッシュを表示しています',
+        NETWORK_ERROR: 'GitHubに接続できませんでした。通信環境を確認して再度お試しください',
+        API_ERROR: 'GitHubからの取得に失敗しました',
+        PARTIAL_ACCOUNTS: '一部のアカウント（{accounts}）のリポジトリを取得できませんでした',
+        PARTIAL_PROVIDERS: '{providers}からの取得に失敗しました',
+        PROJECTS_ERROR_TITLE: 'プロジェクトを読み込めませんでした',
+        PROJECTS_RATE_LIMITED_TITLE: 'ただいまプロジェクトを取得できません',
+        RETRY: '再試行',
+        RETRYING: '再取得中...',
+        RETRY_AFTER: '{time}以降に再試行',
+        NO_MATCHING_PROJECTS: '条件に一致するプロジェクトがありません',
+        FILTER_SUMMARY: '{count}件 / 全{total}件',
+        LOAD_MORE: 'もっと見る（残り{count}件）',
+        NOT_FOUND: 'お探しのページ（{path}）は見つかりませんでした',
+        PROJECT_NOT_FOUND: 'プロジェクト「{name}」は見つかりませんでした',
+        NOT_FOUND_TITLE: 'ページが見つかりません'
     }
 };
 
 // スキルデータ定義
+// technology は技術タクソノミー（js/technologies.js）の名称・別名。表示名とアイコンはタクソノミーから取得する
 const skillsData = [
     {
         category: "Frontend",
         skills: [
             {
-                name: "HTML5",
+                technology: "HTML",
                 level: "advanced",
-                icon: "🌐",
                 description: "セマンティックマークアップ、アクセシビリティ対応"
             },
             {
-                name: "CSS3",
+                technology: "CSS",
                 level: "advanced",
-                icon: "🎨",
                 description: "レスポンシブ、Grid、Flexbox、アニメーション"
             },
             {
-                name: "JavaScript",
+                technology: "JavaScript",
                 level: "intermediate",
-                icon: "⚡",
                 description: "ES6+、DOM操作、非同期処理"
             },
             {
-                name: "React",
+                technology: "React",
                 level: "intermediate",
-                icon: "⚛️",
                 description: "コンポーネント設計、フック、状態管理"
             }
         ]
@@ -61,27 +91,23 @@ const skillsData = [
         category: "Backend & Tools",
         skills: [
             {
-                name: "Node.js",
+                technology: "Node.js",
                 level: "beginner",
-                icon: "🟢",
                 description: "サーバーサイド開発、Express.js"
             },
             {
-                name: "Git",
+                technology: "Git",
                 level: "intermediate",
-                icon: "📱",
                 description: "バージョン管理、チーム開発、GitHub"
             },
             {
-                name: "VS Code",
+                technology: "VS Code",
                 level: "advanced",
-                icon: "🔧",
                 description: "拡張機能、デバッグ、効率的な開発"
             },
             {
-                name: "Web Performance",
+                technology: "Web Performance",
                 level: "intermediate",
-                icon: "🚀",
                 description: "最適化、Core Web Vitals、パフォーマンス分析"
             }
         ]
@@ -104,6 +130,44 @@ class PortfolioApp {
         this.isInitialized = false;
         this.isMobileMenuOpen = false;
         
+        // プロジェクト詳細ビューの状態
+        this.activeProjectId = null;
+        this.detailReturnFocus = null;
+        // 詳細ビューのAPIリクエストを中止するためのコントローラー
+        this.detailAbortController = null;
+        
+        // ルートに応じて書き換える前のページタイトル・説明文
+        this.defaultPageMeta = null;
+        
+        // スナップショットの表示状態
+        this.snapshotDate = null;
+        this.isShowingSnapshot = false;
+        
+        // プロジェクトデータの読み込み状態（再試行ボタンの多重実行防止・エラー表示の判定用）
+        this.isRetryingProjects = false;
+        this.projectsLoadError = null;
+        // レート制限の解除時刻に再試行ボタンを有効にするタイマー
+        this.retryEnableTimer = null;
+        // 付加情報（デモ検証・言語構成等）を取得済みのプロジェクトと、取得を直列に行うためのキュー
+        // キューは一覧の取得後に作成する（スナップショットの表示中は付加情報を取得しない）
+        this.enrichedProjects = new WeakSet();
+        this.enrichmentQueue = null;
+        
+        // 検索・チップによる絞り込み（URLのクエリ文字列から復元）
+        projectFilter.readFromUrl(window.location.search);
+        
+        // 表示中のカードの並び順（プロジェクトID）
+        this.renderedOrder = [];
+        // 絞り込み・並び替え後のプロジェクトと、そのうちカードを描画済みの件数
+        this.visibleProjects = [];
+        this.renderedProjectCount = 0;
+        // 一覧の末尾で次のページを自動追加するための監視
+        this.projectsSentinelObserver = null;
+        // 要素の表示アニメーションの監視（追加したカードも対象にする）
+        this.animationObserver = null;
+        // ランキングのスコア内訳を表示するか（URLパラメータで有効化）
+        this.isRankingDebug = new URLSearchParams(window.location.search).has(RANKING_CONFIG.DEBUG_PARAM);
+        
         // DOM要素参照
         this.elements = {};
         
@@ -142,6 +206,9 @@ class PortfolioApp {
             // イベントリスナーの設定
             this.setupEventListeners();
             
+            // URLに対応する表示（プロジェクト詳細・Not Found）
+            this.setupRoutes();
+            
             // UI要素の初期化
             this.initializeUI();
             
@@ -149,7 +216,7 @@ class PortfolioApp {
             this.setupAnimations();
             
             this.isInitialized = true;
-            console.log('PortfolioApp initialized successfully');
+            logger.info('app', 'PortfolioApp initialized successfully');
             
         } catch (error) {
             ErrorHandler.log(error, 'App initialization');
@@ -174,6 +241,28 @@ class PortfolioApp {
             // コンテンツ関連
             skillsContent: safeQuerySelector('#skillsContent'),
             projectsContent: safeQuerySelector('#projectsContent'),
+            projectsDataStatus: safeQuerySelector('#projectsDataStatus'),
+            projectsFilters: safeQuerySelector('#projectsFilters'),
+            projectsSearch: safeQuerySelector('#projectsSearch'),
+            projectsFeaturedOnly: safeQuerySelector('#projectsFeaturedOnly'),
+            projectsSort: safeQuerySelector('#projectsSort'),
+            projectsFacets: safeQuerySelector('#projectsFacets'),
+            projectsFilterSummary: safeQuerySelector('#projectsFilterSummary'),
+            projectsMore: safeQuerySelector('#projectsMore'),
+            projectsMoreButton: safeQuerySelector('#projectsMoreButton'),
+            activityContent: safeQuerySelector('#activityContent'),
+            whatsNewContent: safeQuerySelector('#whatsNewContent'),
+            
+            // プロジェクト詳細ビュー
+            projectDetail: safeQuerySelector('#projectDetail'),
+            projectDetailContent: safeQuerySelector('#projectDetailContent'),
+            projectDetailClose: safeQuerySelector('#projectDetailClose'),
+            
+            // Not Found表示
+            notFound: safeQuerySelector('#notFound'),
+            notFoundMessage: safeQuerySelector('#notFoundMessage'),
+            notFoundHome: safeQuerySelector('#notFoundHome'),
+            metaDescription: safeQuerySelector('meta[name="description"]'),
             
             // その他
             body: document.body
@@ -187,13 +276,341 @@ class PortfolioApp {
      * @returns {Promise<void>}
      */
     async loadData() {
+        // 取得が終わるまでカードのプレースホルダーを表示する
+        this.renderProjectsSkeleton();
+        
+        // スナップショットがあれば先に表示し、API取得を待たずに初回表示する
         await Promise.all([
-            this.loadProjectsData(),
+            this.loadSnapshotData(),
             this.renderSkills()
         ]);
         
-        // プロジェクトデータ取得後にレンダリング
+        await this.loadProjectsData();
+        
+        // プロジェクトデータ取得後にレンダリング（スナップショット表示中なら差し替え）
         await this.renderProjects();
+        this.updateDataStatus();
+        
+        // デモ検証・言語構成は表示後に順次取得してカードへ反映（初回表示を待たせない）
+        ErrorHandler.safeExecute(() => this.enrichProjects(), 'プロジェクト付加情報読み込み');
+    }
+    
+    /**
+     * 表示後に取得する付加情報を順に読み込む
+     * 付加情報は描画済みのカードの分のみ取得し、「もっと見る」等で追加したカードの分はその都度取得する
+     * @private
+     * @returns {Promise<void>}
+     */
+    async enrichProjects() {
+        this.enrichmentQueue = this.enrichmentQueue || Promise.resolve();
+        await this.enrichRenderedProjects();
+        await this.renderActivity();
+    }
+    
+    /**
+     * 描画済みのカードのうち、付加情報が未取得のプロジェクトの分を取得
+     * 一覧の取得前は何もしない。呼び出しが重なった場合は前回の取得の完了後に実行する
+     * @private
+     * @returns {Promise<void>}
+     */
+    enrichRenderedProjects() {
+        if (!this.enrichmentQueue) return Promise.resolve();
+        
+        this.enrichmentQueue = this.enrichmentQueue
+            .then(() => this.loadRenderedProjectDetails())
+            .catch(error => ErrorHandler.log(error, 'プロジェクト付加情報読み込み'));
+        return this.enrichmentQueue;
+    }
+    
+    /**
+     * 描画済みのカードの付加情報を取得し、並び順を再評価
+     * 並び替えで新たに表示されたカードの分も取得する（取得が連鎖しないよう、再度の並び替えは行わない）
+     * @private
+     * @returns {Promise<void>}
+     */
+    async loadRenderedProjectDetails() {
+        const projects = this.getUnenrichedProjects();
+        if (projects.length === 0) return;
+        
+        await this.loadProjectDetails(projects);
+        await this.updateRanking();
+        
+        const revealed = this.getUnenrichedProjects();
+        if (revealed.length > 0) {
+            await this.loadProjectDetails(revealed);
+        }
+    }
+    
+    /**
+     * プロジェクトの付加情報を取得し、表示済みのカードに反映
+     * リクエストが集中しないよう、デモ検証 → 言語構成 → リリース → README の順に直列で実行する
+     * @private
+     * @param {Array} projects - 対象のプロジェクト
+     * @returns {Promise<void>}
+     */
+    async loadProjectDetails(projects) {
+        logger.debug('render', `付加情報: ${projects.length}件のプロジェクトを取得`);
+        await this.loadDemoStatuses(projects);
+        await this.loadProjectLanguages(projects);
+        await this.loadProjectReleases(projects);
+        await githubApi.attachReadmeStatus(projects);
+        projects.forEach(project => this.enrichedProjects.add(project));
+    }
+    
+    /**
+     * 描画済みのカードのうち、付加情報が未取得のプロジェクトを取得
+     * @private
+     * @returns {Array} プロジェクトデータ
+     */
+    getUnenrichedProjects() {
+        return this.visibleProjects
+            .slice(0, this.renderedProjectCount)
+            .filter(project => !this.enrichedProjects.has(project));
+    }
+    
+    /**
+     * 付加情報（デモ検証・READMEの有無）の取得後にランキングを再評価
+     * 並び順が変わる場合のみ再描画する（デバッグ表示中はスコア更新のため常に再描画）
+     * @private
+     * @returns {Promise<void>}
+     */
+    async updateRanking() {
+        const order = this.getVisibleProjects().map(project => project.id);
+        const changed = order.join('\n') !== this.renderedOrder.join('\n');
+        
+        if (changed || this.isRankingDebug) {
+            logger.debug('render', 'ランキング: 付加情報の取得後に並び順を更新');
+            await this.renderProjects();
+        }
+    }
+    
+    /**
+     * 表示中のプロジェクトカード要素を取得
+     * @private
+     * @param {string} projectId - プロジェクトID
+     * @returns {Element|null} カード要素
+     */
+    getProjectCard(projectId) {
+        return safeQuerySelector(`.project-card[data-project-id="${projectId}"]`);
+    }
+    
+    /**
+     * デモURLを検証し、表示済みカードのデモボタンを更新
+     * @private
+     * @param {Array} projects - 対象のプロジェクト（描画済みのカード）
+     * @returns {Promise<void>}
+     */
+    async loadDemoStatuses(projects) {
+        await githubApi.verifyDemos(projects);
+        
+        projects.forEach(project => {
+            const card = this.getProjectCard(project.id);
+            const slot = card ? card.querySelector('.project-card__demo') : null;
+            if (slot) {
+                slot.outerHTML = this.renderDemoAction(project);
+            }
+        });
+    }
+    
+    /**
+     * 制作状況（開発中・アーカイブ）のラベルHTMLを生成
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} ラベルのHTML（完成済みの場合は空文字）
+     */
+    renderStatusLabel(project) {
+        const labels = {
+            'wip': '開発中',
+            'archived': 'アーカイブ'
+        };
+        const label = labels[project.status];
+        if (!label) return '';
+        
+        return `<span class="project-card__status project-card__status--${escapeHtml(project.status)}">${label}</span>`;
+    }
+    
+    /**
+     * 取得元プラットフォームのバッジHTMLを生成
+     * ミラーとして統合されたプラットフォームがあれば title に併記する
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} バッジのHTML
+     */
+    renderSourceBadge(project) {
+        const source = project.source || 'github';
+        const label = project.sourceLabel || 'GitHub';
+        const mirrors = project.mirrors || [];
+        const title = mirrors.length > 0 ?
+            `ミラー: ${mirrors.map(mirror => mirror.sourceLabel).join(', ')}` :
+            `${label}で公開`;
+        
+        return `<span class="project-source project-source--${escapeHtml(source)}" title="${escapeHtml(title)}">${escapeHtml(label)}${mirrors.length > 0 ? ` +${mirrors.length}` : ''}</span>`;
+    }
+    
+    /**
+     * デモボタンのHTMLを生成
+     * 検証状態（verified / unverified / unavailable）をラベルとスタイルで示す
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} デモボタンのHTML
+     */
+    renderDemoAction(project) {
+        const status = project.demoStatus || (project.demoUrl ? 'unverified' : 'unavailable');
+        
+        if (!project.demoUrl || status === 'unavailable') {
+            return '<span class="project-card__demo project-card__link project-card__link--disabled" data-demo-status="unavailable">Demo準備中</span>';
+        }
+        
+        const label = status === 'verified' ? 'Demo ✓' : 'Demo';
+        const title = status === 'verified' ? '公開を確認済み' : '公開状況は未確認です';
+        
+        return `<a href="${escapeHtml(project.demoUrl)}" class="project-card__demo project-card__link project-card__link--primary project-card__link--${status}" data-demo-status="${status}" title="${title}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+    
+    /**
+     * プロジェクトカードのプレビュー画像を読み込む
+     * 生成プレースホルダーを表示した状態から、画面に近づいたカードの画像候補を順に試す
+     * @private
+     * @param {Array<Element>|NodeList} [images] - 対象の画像要素（省略時は表示中のすべてのカード）
+     * @returns {void}
+     */
+    loadProjectImages(images = safeQuerySelectorAll('[data-project-image]')) {
+        
+        const load = (img) => {
+            const project = projectsData.find(item => item.id === img.dataset.projectImage);
+            if (!project) return;
+            
+            const sources = project.imageSources && project.imageSources.length > 0 ?
+                project.imageSources :
+                [project.image];
+            lazyLoadImage(sources, img, project.placeholderImage || CONFIG.PLACEHOLDER_IMAGE);
+        };
+        
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(load);
+            return;
+        }
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    observer.unobserve(entry.target);
+                    load(entry.target);
+                }
+            });
+        }, { rootMargin: CONFIG.LAZY_LOAD_THRESHOLD });
+        
+        images.forEach(img => observer.observe(img));
+    }
+    
+    /**
+     * プロジェクトの言語構成を取得し、表示済みカードの言語バーを更新
+     * @private
+     * @param {Array} projects - 対象のプロジェクト（描画済みのカード）
+     * @returns {Promise<void>}
+     */
+    async loadProjectLanguages(projects) {
+        await githubApi.attachLanguages(projects);
+        
+        projects.forEach(project => {
+            const card = this.getProjectCard(project.id);
+            const slot = card ? card.querySelector('.project-card__languages') : null;
+            if (slot) {
+                slot.outerHTML = this.renderLanguageBar(project);
+            }
+        });
+    }
+    
+    /**
+     * 描画したカードの最新リリースを取得し、カードと新着リリースを更新
+     * リリース一覧は詳細ビューを開いた際に取得する
+     * @private
+     * @param {Array} projects - 描画したカードのプロジェクト
+     * @returns {Promise<void>}
+     */
+    async loadProjectReleases(projects) {
+        await githubApi.attachReleases(projects);
+        
+        projects.forEach(project => {
+            const card = this.getProjectCard(project.id);
+            const slot = card ? card.querySelector('.project-card__release') : null;
+            if (slot) {
+                slot.outerHTML = this.renderReleaseInfo(project);
+            }
+        });
+        
+        this.renderWhatsNew();
+    }
+    
+    /**
+     * 最新リリース（バージョンタグと公開日）のHTMLを生成
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} 最新リリースのHTML（リリースがない場合は空の枠）
+     */
+    renderReleaseInfo(project) {
+        const release = project.githubData ? project.githubData.latestRelease : null;
+        if (!release) {
+            return '<span class="project-card__release"></span>';
+        }
+        
+        return `
+            <span class="project-card__release">
+                <a href="${escapeHtml(release.url)}" class="project-card__release-tag" target="_blank" rel="noopener noreferrer">${escapeHtml(release.tag)}</a>
+                <time datetime="${escapeHtml(release.publishedAt.toISOString())}">${formatDate(release.publishedAt, 'YYYY/MM/DD')}</time>
+            </span>
+        `;
+    }
+    
+    /**
+     * 全プロジェクトの新着リリース（What's new）を表示
+     * @private
+     * @returns {void}
+     */
+    renderWhatsNew() {
+        const container = this.elements.whatsNewContent;
+        if (!container) return;
+        
+        const releases = githubApi.getWhatsNew(projectsData);
+        container.hidden = isEmpty(releases);
+        container.innerHTML = isEmpty(releases) ? '' : `
+            <h3 class="activity__title">What's new</h3>
+            ${activityRenderer.renderFeed(releases)}
+        `;
+    }
+    
+    /**
+     * 言語構成バーと凡例のHTMLを生成
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} 言語バーのHTML（言語構成がない場合は空の枠）
+     */
+    renderLanguageBar(project) {
+        const languages = project.githubData ? project.githubData.languages || [] : [];
+        if (languages.length === 0) {
+            return '<div class="project-card__languages"></div>';
+        }
+        
+        const label = languages.map(lang => `${lang.name} ${lang.percentage}%`).join(', ');
+        
+        return `
+            <div class="project-card__languages">
+                <div class="language-bar" role="img" aria-label="${escapeHtml(label)}">
+                    ${languages.map(lang => `
+                        <span class="language-bar__segment" style="width: ${Number(lang.percentage)}%; background-color: ${escapeHtml(lang.color)};"></span>
+                    `).join('')}
+                </div>
+                <ul class="language-legend">
+                    ${languages.map(lang => `
+                        <li class="language-legend__item">
+                            <span class="language-legend__dot" style="background-color: ${escapeHtml(lang.color)};"></span>
+                            ${escapeHtml(lang.name)}
+                            <span class="language-legend__percentage">${Number(lang.percentage)}%</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
     }
     
     /**
@@ -203,34 +620,120 @@ class PortfolioApp {
      * @returns {Promise<void>}
      */
     async loadProjectsData() {
+        this.projectsLoadError = null;
+        
         try {
-            console.log('GitHub API連携: データ取得開始');
-            
-            // GitHub APIからリポジトリデータを取得
-            const githubRepos = await githubApi.getRepositories();
-            console.log('GitHub API連携: 取得データ', githubRepos);
-            
-            // GitHubデータのみを使用（フォールバックデータは統合しない）
-            projectsData = githubRepos.filter(project => {
-                // より厳密なフィルタリング条件
-                const hasDemo = project.demoUrl && project.demoUrl.trim() !== '';
-                const hasValidSource = project.sourceUrl && project.sourceUrl.trim() !== '';
-                const isNotReadmeOnly = !project.title.toLowerCase().includes('readme');
-                const isNotConfigOnly = !project.title.toLowerCase().includes('config');
-                const isNotPrivateProfile = project.title.toLowerCase() !== 'purplehoge';
-                
-                // デモサイトがあるか、有効なソースでかつ実用的なリポジトリ
-                return (hasDemo || hasValidSource) && isNotReadmeOnly && isNotConfigOnly && isNotPrivateProfile;
-            });
+            logger.debug('app', 'リポジトリ連携: データ取得開始');
+            
+            // 設定された全プロバイダー（GitHub・GitLab・Gitea）からリポジトリデータを取得
+            // GitHub APIの障害時はスナップショットがフォールバックとして返る
+            const repositories = await repositoryProviders.getProjects();
+            logger.debug('app', 'リポジトリ連携: 取得データ', repositories);
             
-            console.log(`プロジェクトデータ読み込み完了: ${projectsData.length}件`, projectsData);
+            // 取得データのみを使用（フォールバックデータは統合しない）
+            projectsData = this.filterDisplayableProjects(repositories);
+            this.snapshotDate = githubApi.getStatus().snapshotAt;
+            
+            logger.info('app', `プロジェクトデータ読み込み完了: ${projectsData.length}件`);
             
         } catch (error) {
-            console.error('GitHub API連携エラー:', error);
             ErrorHandler.log(error, 'プロジェクトデータ読み込み');
             // エラー時は空配列（GitHub APIのフォールバック処理に委ねる）
             projectsData = [];
+            this.projectsLoadError = error;
+        }
+    }
+    
+    /**
+     * プロジェクトデータを再取得して再描画（再試行ボタン）
+     * リポジトリ一覧のキャッシュを削除してから取得し直す。ページの再読み込みは行わない
+     * @private
+     * @returns {Promise<void>}
+     */
+    async retryProjects() {
+        // レート制限の解除前は再取得しても同じエラーになるため実行しない
+        if (this.isRetryingProjects || githubApi.getRateLimitReset()) return;
+        this.isRetryingProjects = true;
+        logger.info('app', 'プロジェクトデータを再取得します');
+        
+        repositoryProviders.clearCache();
+        
+        // 表示中のプロジェクトがなければプレースホルダー、あれば再試行ボタンで取得中を示す
+        if (isEmpty(projectsData)) {
+            this.renderProjectsSkeleton();
+        } else if (this.elements.projectsContent) {
+            this.elements.projectsContent.querySelectorAll('[data-action="retry-projects"]').forEach(button => {
+                button.disabled = true;
+                button.textContent = CONFIG.MESSAGES.RETRYING;
+            });
+        }
+        
+        try {
+            await this.loadProjectsData();
+            await this.renderProjects();
+            this.updateDataStatus();
+        } finally {
+            this.isRetryingProjects = false;
+        }
+        
+        ErrorHandler.safeExecute(() => this.enrichProjects(), 'プロジェクト付加情報読み込み');
+    }
+    
+    /**
+     * ビルド時のスナップショットを読み込み、初回表示として描画
+     * @private
+     * @returns {Promise<void>}
+     */
+    async loadSnapshotData() {
+        const snapshot = await githubApi.loadSnapshot();
+        if (!snapshot || isEmpty(snapshot.projects)) return;
+        
+        projectsData = this.filterDisplayableProjects(snapshot.projects);
+        this.snapshotDate = snapshot.generatedAt;
+        this.isShowingSnapshot = true;
+        
+        await this.renderProjects();
+        this.updateDataStatus();
+    }
+    
+    /**
+     * 表示対象のプロジェクトに絞り込む
+     * @private
+     * @param {Array} projects - 取得したプロジェクト
+     * @returns {Array} 表示対象のプロジェクト
+     */
+    filterDisplayableProjects(projects) {
+        // 除外するリポジトリは取得時にリポジトリ名で判定する（GITHUB_CONFIG.EXCLUDED_REPOS・PROJECT_OVERRIDES）
+        return projects.filter(project => {
+            const hasDemo = project.demoUrl && project.demoUrl.trim() !== '';
+            const hasValidSource = project.sourceUrl && project.sourceUrl.trim() !== '';
+            
+            // デモサイトか有効なソースがあるリポジトリ
+            return hasDemo || hasValidSource;
+        });
+    }
+    
+    /**
+     * データの取得元（スナップショット表示中など）を表示
+     * @private
+     * @returns {void}
+     */
+    updateDataStatus() {
+        const element = this.elements.projectsDataStatus;
+        if (!element) return;
+        
+        const date = this.snapshotDate ? formatDate(this.snapshotDate, 'YYYY/MM/DD HH:mm') : '';
+        let message = '';
+        
+        if (this.isShowingSnapshot) {
+            message = CONFIG.MESSAGES.SNAPSHOT_LOADING.replace('{date}', date);
+            // 次回以降はAPI取得後の状態として判定する
+            this.isShowingSnapshot = false;
+        } else if (this.snapshotDate) {
+            message = CONFIG.MESSAGES.SNAPSHOT_FALLBACK.replace('{date}', date);
         }
+        
+        element.textContent = message;
     }
     
     /**
@@ -254,6 +757,97 @@ class PortfolioApp {
             });
         });
         
+        // プロジェクトカードから詳細ビューを開く・取得失敗時の再試行（再描画に備えてイベント委譲）
+        // 新しいタブで開く操作（Ctrl/⌘+クリック等）はブラウザに任せる
+        if (this.elements.projectsContent) {
+            this.elements.projectsContent.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="retry-projects"]')) {
+                    this.retryProjects();
+                    return;
+                }
+                
+                const trigger = e.target.closest('[data-action="open-detail"]');
+                if (trigger && !isModifiedClick(e)) {
+                    e.preventDefault();
+                    const project = projectsData.find(item => item.id === trigger.dataset.projectId);
+                    if (project) {
+                        router.navigate(this.getProjectPath(project));
+                    }
+                }
+            });
+        }
+        
+        // 「もっと見る」で次のページを追加
+        if (this.elements.projectsMoreButton) {
+            this.elements.projectsMoreButton.addEventListener('click', () => {
+                this.appendProjects();
+            });
+        }
+        this.setupProjectsSentinel();
+        
+        // Not Foundからトップへ戻る
+        if (this.elements.notFoundHome) {
+            this.elements.notFoundHome.addEventListener('click', (e) => {
+                if (isModifiedClick(e)) return;
+                e.preventDefault();
+                router.navigate('/');
+            });
+        }
+        
+        // プロジェクトの絞り込み（検索・Featuredのみ・チップ）と並び替え
+        this.renderSortOptions();
+        this.syncFilterControls();
+        
+        if (this.elements.projectsSearch) {
+            const handleSearch = debounce(() => {
+                projectFilter.setQuery(this.elements.projectsSearch.value);
+                this.applyFilters();
+            }, PROJECT_FILTER_CONFIG.SEARCH_DEBOUNCE);
+            
+            this.elements.projectsSearch.addEventListener('input', handleSearch);
+        }
+        
+        if (this.elements.projectsFeaturedOnly) {
+            this.elements.projectsFeaturedOnly.addEventListener('change', (e) => {
+                projectFilter.setFeaturedOnly(e.target.checked);
+                this.applyFilters();
+            });
+        }
+        
+        if (this.elements.projectsSort) {
+            this.elements.projectsSort.addEventListener('change', (e) => {
+                projectFilter.setSort(e.target.value);
+                this.applyFilters();
+            });
+        }
+        
+        if (this.elements.projectsFilters) {
+            this.elements.projectsFilters.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-filter-group]');
+                if (chip) {
+                    projectFilter.toggle(chip.dataset.filterGroup, chip.dataset.filterValue);
+                    this.applyFilters();
+                    return;
+                }
+                
+                if (e.target.closest('[data-action="clear-filters"]')) {
+                    projectFilter.reset();
+                    this.syncFilterControls();
+                    this.applyFilters();
+                }
+            });
+        }
+        
+        // 詳細ビューを閉じる（閉じるボタン・背景クリック）
+        if (this.elements.projectDetail) {
+            this.elements.projectDetail.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="close-detail"]')) {
+                    e.preventDefault();
+                    router.navigate('/');
+                }
+            });
+        }
+        
         // スクロールイベントの処理
         const handleScroll = throttle(() => {
             this.handleScroll();
@@ -272,6 +866,11 @@ class PortfolioApp {
         document.addEventListener('keydown', (e) => {
             this.handleKeyDown(e);
         });
+        
+        // ページを離れる際は実行中のAPIリクエストを中止
+        window.addEventListener('pagehide', () => {
+            githubApi.cancelPendingRequests();
+        });
     }
     
     /**
@@ -296,7 +895,7 @@ class PortfolioApp {
     async renderSkills() {
         const container = this.elements.skillsContent;
         if (!container) {
-            console.warn('Skills container not found');
+            logger.warn('render', 'Skills container not found');
             return;
         }
         
@@ -313,7 +912,7 @@ class PortfolioApp {
                     <div class="skills__category" data-category="${escapeHtml(category.category)}">
                         <h3 class="skills__category-title">${escapeHtml(category.category)}</h3>
                         <div class="skills__list">
-                            ${category.skills.map(skill => `
+                            ${category.skills.map(skill => this.resolveSkill(skill)).map(skill => `
                                 <div class="skill-card skill-card--${escapeHtml(skill.level)}" data-skill="${escapeHtml(skill.name)}">
                                     <div class="skill-card__icon">
                                         ${skill.icon}
@@ -340,84 +939,88 @@ class PortfolioApp {
         }
     }
     
+    /**
+     * スキルの表示名とアイコンを技術タクソノミーから解決
+     * @private
+     * @param {Object} skill - skillsData のスキル
+     * @returns {Object} name と icon を付与したスキル
+     */
+    resolveSkill(skill) {
+        const technology = technologyTaxonomy.find(skill.technology);
+        if (!technology) {
+            logger.warn('app', `Skills: 技術タクソノミーに未登録です (${skill.technology})`);
+        }
+        
+        return {
+            ...skill,
+            name: technology ? technology.name : skill.technology,
+            icon: technology ? technology.icon : '🔧',
+            category: technology ? technology.category : null
+        };
+    }
+    
     /**
      * プロジェクトセクションのレンダリング
-     * プロジェクトカード群のHTMLを生成
+     * 最初のページ分（再描画時は表示済みの件数分）のカードを描画し、残りは appendProjects() で追加する
      * @private
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.resetPage] - 表示件数を最初のページに戻すか（絞り込み・並び順の変更時）
      * @returns {Promise<void>}
      */
-    async renderProjects() {
+    async renderProjects({ resetPage = false } = {}) {
         const container = this.elements.projectsContent;
         if (!container) {
-            console.warn('Projects container not found');
+            logger.warn('render', 'Projects container not found');
             return;
         }
         
+        container.setAttribute('aria-busy', 'false');
+        
         if (isEmpty(projectsData)) {
-            container.innerHTML = `<p class="text-center">${CONFIG.MESSAGES.NO_PROJECTS}</p>`;
+            this.renderProjectsState();
             return;
         }
         
         try {
-            // 注目プロジェクトを最初に表示
-            const sortedProjects = [...projectsData].sort((a, b) => {
-                if (a.featured && !b.featured) return -1;
-                if (!a.featured && b.featured) return 1;
-                return 0;
-            });
+            // 差し替え時に高さが一瞬縮まないよう、描画前の高さを維持する
+            const previousHeight = container.offsetHeight;
+            if (previousHeight > 0) {
+                container.style.minHeight = `${previousHeight}px`;
+            }
             
-            const html = sortedProjects.map(project => `
-                <article class="project-card" data-project-id="${escapeHtml(project.id)}">
-                    <div class="project-card__image">
-                        ${project.image ? 
-                            `<img src="${escapeHtml(project.image)}" alt="${escapeHtml(project.title)}" loading="lazy">` :
-                            `<div class="project-card__placeholder">📁</div>`
-                        }
-                        ${project.featured ? '<div class="project-card__badge">Featured</div>' : ''}
-                        ${project.githubData ? `
-                            <div class="project-card__github-info">
-                                ${project.githubData.stars > 0 ? `<span class="github-stars">⭐ ${project.githubData.stars}</span>` : ''}
-                                ${project.githubData.language ? `<span class="github-language">${escapeHtml(project.githubData.language)}</span>` : ''}
-                            </div>
-                        ` : ''}
-                    </div>
-                    <div class="project-card__content">
-                        <h3 class="project-card__title">${escapeHtml(project.title)}</h3>
-                        <p class="project-card__description">${escapeHtml(project.description)}</p>
-                        ${project.githubData && project.githubData.topics.length > 0 ? `
-                            <div class="project-card__topics">
-                                ${project.githubData.topics.slice(0, 3).map(topic => 
-                                    `<span class="project-card__topic">#${escapeHtml(topic)}</span>`
-                                ).join('')}
-                            </div>
-                        ` : ''}
-                        <div class="project-card__technologies">
-                            ${project.technologies.map(tech => 
-                                `<span class="project-card__tech">${escapeHtml(tech)}</span>`
-                            ).join('')}
-                        </div>
-                        ${project.githubData ? `
-                            <div class="project-card__meta">
-                                <small class="project-card__updated">
-                                    更新: ${formatDate(project.githubData.updatedAt, 'YYYY/MM/DD')}
-                                </small>
-                            </div>
-                        ` : ''}
-                        <div class="project-card__actions">
-                            ${project.demoUrl ? 
-                                `<a href="${escapeHtml(project.demoUrl)}" class="project-card__link project-card__link--primary" target="_blank" rel="noopener noreferrer">Demo</a>` : 
-                                '<span class="project-card__link project-card__link--disabled">Demo準備中</span>'
-                            }
-                            ${project.sourceUrl ? 
-                                `<a href="${escapeHtml(project.sourceUrl)}" class="project-card__link project-card__link--secondary" target="_blank" rel="noopener noreferrer">Code</a>` : 
-                                '<span class="project-card__link project-card__link--disabled">Code準備中</span>'
-                            }
-                        </div>
-                    </div>
-                </article>
-            `).join('');
+            // レート制限・通信障害時はキャッシュ表示中である旨を、一部の取得元の失敗時はその旨を先頭に表示
+            const notice = this.renderApiStatusNotice(githubApi.getStatus(), repositoryProviders.getFailedProviders());
             
-            container.innerHTML = html;
+            // 並び順は選択中の並び順（既定は RANKING_CONFIG の重み付きスコア順）で決める
+            const sortedProjects = this.getVisibleProjects();
+            this.visibleProjects = sortedProjects;
+            this.renderedOrder = sortedProjects.map(project => project.id);
+            this.renderFilters(sortedProjects.length);
+            if (this.isRankingDebug) {
+                this.logRanking(sortedProjects);
+            }
+            
+            // 付加情報の取得後などの再描画では「もっと見る」で追加した分も表示し続ける
+            const count = resetPage ?
+                CONFIG.PROJECTS_PAGE_SIZE :
+                Math.max(CONFIG.PROJECTS_PAGE_SIZE, this.renderedProjectCount);
+            const showOwner = this.getProjectOwners().length > 1;
+            const html = sortedProjects
+                .slice(0, count)
+                .map(project => this.renderProjectCard(project, showOwner))
+                .join('');
+            this.renderedProjectCount = Math.min(count, sortedProjects.length);
+            
+            container.innerHTML = notice + (html ||
+                `<p class="projects__empty">${CONFIG.MESSAGES.NO_MATCHING_PROJECTS}</p>`);
+            this.scheduleRetryEnable();
+            requestAnimationFrame(() => {
+                container.style.minHeight = '';
+            });
+            
+            this.loadProjectImages();
+            this.observeAnimations(container.querySelectorAll('.project-card'));
+            this.updateLoadMore();
             
         } catch (error) {
             ErrorHandler.log(error, 'Projects rendering');
@@ -426,13 +1029,908 @@ class PortfolioApp {
     }
     
     /**
-     * スキルレベルのテキスト取得
+     * 読み込み中のカードのプレースホルダーを表示
      * @private
-     * @param {string} level - スキルレベル
-     * @returns {string} レベルテキスト
+     * @returns {void}
      */
-    getLevelText(level) {
-        const levelMap = {
+    renderProjectsSkeleton() {
+        const container = this.elements.projectsContent;
+        if (!container) return;
+        
+        const skeleton = `
+            <div class="project-skeleton" aria-hidden="true">
+                <div class="project-skeleton__image"></div>
+                <div class="project-skeleton__content">
+                    <div class="project-skeleton__line project-skeleton__line--title"></div>
+                    <div class="project-skeleton__line"></div>
+                    <div class="project-skeleton__line project-skeleton__line--short"></div>
+                </div>
+            </div>
+        `;
+        
+        container.setAttribute('aria-busy', 'true');
+        container.innerHTML = skeleton.repeat(CONFIG.PROJECTS_SKELETON_COUNT) +
+            `<p class="sr-only">${CONFIG.MESSAGES.LOADING}</p>`;
+    }
+    
+    /**
+     * 表示するプロジェクトがない場合の状態（0件・通信エラー・レート制限）を表示
+     * 取得に失敗した場合は再試行ボタンを表示する
+     * @private
+     * @returns {void}
+     */
+    renderProjectsState() {
+        const container = this.elements.projectsContent;
+        if (!container) return;
+        
+        if (this.elements.projectsFilters) {
+            this.elements.projectsFilters.hidden = true;
+        }
+        this.visibleProjects = [];
+        this.renderedProjectCount = 0;
+        this.updateLoadMore();
+        
+        const status = githubApi.getStatus();
+        let state;
+        
+        if (status.state === 'rate-limited') {
+            state = {
+                type: 'rate-limited',
+                title: CONFIG.MESSAGES.PROJECTS_RATE_LIMITED_TITLE,
+                message: this.getApiStatusMessage(status)
+            };
+        } else if (status.state !== 'ok' || this.projectsLoadError || !isEmpty(repositoryProviders.getFailedProviders())) {
+            state = {
+                type: 'error',
+                title: CONFIG.MESSAGES.PROJECTS_ERROR_TITLE,
+                message: status.state === 'offline' ? CONFIG.MESSAGES.NETWORK_ERROR : CONFIG.MESSAGES.API_ERROR
+            };
+        } else {
+            container.innerHTML = `<p class="projects__empty">${CONFIG.MESSAGES.NO_PROJECTS}</p>`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="projects__state projects__state--${state.type}" role="alert">
+                <p class="projects__state-title">${escapeHtml(state.title)}</p>
+                <p class="projects__state-message">${escapeHtml(state.message)}</p>
+                ${this.renderRetryButton()}
+            </div>
+        `;
+        this.scheduleRetryEnable();
+    }
+    
+    /**
+     * プロジェクトデータの再試行ボタンのHTMLを生成
+     * レート制限中は解除時刻まで無効にする
+     * @private
+     * @returns {string} ボタンのHTML
+     */
+    renderRetryButton() {
+        const resetAt = githubApi.getRateLimitReset();
+        const label = resetAt ?
+            CONFIG.MESSAGES.RETRY_AFTER.replace('{time}', formatDate(resetAt, 'HH:mm')) :
+            CONFIG.MESSAGES.RETRY;
+        
+        return `<button type="button" class="btn btn--outline projects__retry" data-action="retry-projects"${resetAt ? ' disabled' : ''}>${escapeHtml(label)}</button>`;
+    }
+    
+    /**
+     * レート制限の解除時刻に再試行ボタンを有効にする
+     * @private
+     * @returns {void}
+     */
+    scheduleRetryEnable() {
+        clearTimeout(this.retryEnableTimer);
+        this.retryEnableTimer = null;
+        
+        const resetAt = githubApi.getRateLimitReset();
+        if (!resetAt || !this.elements.projectsContent) return;
+        
+        this.retryEnableTimer = setTimeout(() => {
+            this.retryEnableTimer = null;
+            this.elements.projectsContent.querySelectorAll('[data-action="retry-projects"]').forEach(button => {
+                button.disabled = false;
+                button.textContent = CONFIG.MESSAGES.RETRY;
+            });
+        }, resetAt.getTime() - Date.now());
+    }
+    
+    /**
+     * 次のページ分のプロジェクトカードを末尾に追加
+     * 表示済みのカードのDOM（画像・アニメーションの状態）はそのまま残す
+     * @private
+     * @returns {void}
+     */
+    appendProjects() {
+        const container = this.elements.projectsContent;
+        const nextProjects = this.visibleProjects.slice(
+            this.renderedProjectCount,
+            this.renderedProjectCount + CONFIG.PROJECTS_PAGE_SIZE
+        );
+        if (!container || nextProjects.length === 0) return;
+        
+        try {
+            const showOwner = this.getProjectOwners().length > 1;
+            const template = document.createElement('template');
+            template.innerHTML = nextProjects.map(project => this.renderProjectCard(project, showOwner)).join('');
+            
+            const cards = Array.from(template.content.children);
+            container.appendChild(template.content);
+            this.renderedProjectCount += nextProjects.length;
+            logger.debug('render', `プロジェクト: ${nextProjects.length}件を追加表示（${this.renderedProjectCount}/${this.visibleProjects.length}件）`);
+            
+            this.loadProjectImages(cards.map(card => card.querySelector('[data-project-image]')).filter(Boolean));
+            this.observeAnimations(cards);
+            
+        } catch (error) {
+            ErrorHandler.log(error, 'Projects appending');
+        }
+        
+        this.updateLoadMore();
+        this.enrichRenderedProjects();
+    }
+    
+    /**
+     * 「もっと見る」の表示と残り件数を更新
+     * 自動読み込みの監視対象が画面内に残っている場合は、続けて次のページを追加する
+     * @private
+     * @returns {void}
+     */
+    updateLoadMore() {
+        const { projectsMore, projectsMoreButton } = this.elements;
+        if (!projectsMore) return;
+        
+        const remaining = this.visibleProjects.length - this.renderedProjectCount;
+        projectsMore.hidden = remaining <= 0;
+        if (projectsMoreButton) {
+            projectsMoreButton.textContent = CONFIG.MESSAGES.LOAD_MORE.replace('{count}', remaining);
+        }
+        
+        // 監視し直すと現在の交差状態で再度通知される
+        if (this.projectsSentinelObserver && remaining > 0) {
+            this.projectsSentinelObserver.unobserve(projectsMore);
+            this.projectsSentinelObserver.observe(projectsMore);
+        }
+    }
+    
+    /**
+     * 「もっと見る」が画面に近づいたら自動で次のページを追加する監視を設定
+     * IntersectionObserver 非対応の環境ではボタンのみで追加する
+     * @private
+     * @returns {void}
+     */
+    setupProjectsSentinel() {
+        const { projectsMore } = this.elements;
+        if (!projectsMore || !CONFIG.PROJECTS_AUTO_LOAD || !('IntersectionObserver' in window)) return;
+        
+        this.projectsSentinelObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.appendProjects();
+            }
+        }, { rootMargin: CONFIG.PROJECTS_AUTO_LOAD_MARGIN });
+        
+        this.updateLoadMore();
+    }
+    
+    /**
+     * プロジェクトカードのHTMLを生成
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @param {boolean} showOwner - 所有者を表示するか（所有者が複数の場合）
+     * @returns {string} カードのHTML
+     */
+    renderProjectCard(project, showOwner) {
+        return `
+            <article class="project-card" data-project-id="${escapeHtml(project.id)}">
+                <div class="project-card__image">
+                    ${project.placeholderImage || project.image ? 
+                        `<img class="project-card__img" src="${escapeHtml(project.placeholderImage || project.image)}" alt="${escapeHtml(project.title)}" data-project-image="${escapeHtml(project.id)}">` :
+                        `<div class="project-card__placeholder">📁</div>`
+                    }
+                    ${project.featured ? '<div class="project-card__badge">Featured</div>' : ''}
+                    ${project.githubData ? `
+                        <div class="project-card__github-info">
+                            ${this.renderSourceBadge(project)}
+                            ${showOwner ? `<span class="github-owner">@${escapeHtml(project.githubData.owner)}</span>` : ''}
+                            ${project.githubData.stars > 0 ? `<span class="github-stars">⭐ ${project.githubData.stars}</span>` : ''}
+                            ${project.githubData.language ? `<span class="github-language">${escapeHtml(project.githubData.language)}</span>` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="project-card__content">
+                    <h3 class="project-card__title">
+                        ${escapeHtml(project.title)}
+                        ${this.renderStatusLabel(project)}
+                    </h3>
+                    <p class="project-card__description">${escapeHtml(project.description)}</p>
+                    ${project.githubData && project.githubData.topics.length > 0 ? `
+                        <div class="project-card__topics">
+                            ${project.githubData.topics.slice(0, 3).map(topic => 
+                                `<span class="project-card__topic">#${escapeHtml(topic)}</span>`
+                            ).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="project-card__technologies">
+                        ${project.technologies.map(tech => this.renderTechnologyChip(tech)).join('')}
+                    </div>
+                    ${this.renderLanguageBar(project)}
+                    ${project.githubData ? `
+                        <div class="project-card__meta">
+                            <small class="project-card__updated">
+                                更新: ${formatDate(project.githubData.updatedAt, 'YYYY/MM/DD')}
+                            </small>
+                            ${this.renderReleaseInfo(project)}
+                        </div>
+                    ` : ''}
+                    <div class="project-card__actions">
+                        ${this.renderDemoAction(project)}
+                        ${project.sourceUrl ? 
+                            `<a href="${escapeHtml(project.sourceUrl)}" class="project-card__link project-card__link--secondary" target="_blank" rel="noopener noreferrer">Code</a>` : 
+                            '<span class="project-card__link project-card__link--disabled">Code準備中</span>'
+                        }
+                        <a href="${escapeHtml(router.buildHref(this.getProjectPath(project)))}" class="project-card__link project-card__link--secondary" data-action="open-detail" data-project-id="${escapeHtml(project.id)}">Details</a>
+                    </div>
+                    ${this.isRankingDebug ? this.renderRankingDebug(project) : ''}
+                </div>
+            </article>
+        `;
+    }
+    
+    /**
+     * Activityセクションのレンダリング
+     * コミットのヒートマップと最近のアクティビティを表示
+     * @private
+     * @returns {Promise<void>}
+     */
+    async renderActivity() {
+        const container = this.elements.activityContent;
+        if (!container || !GITHUB_CONFIG.FETCH_ACTIVITY) return;
+        
+        container.innerHTML = `<p class="text-center">${CONFIG.MESSAGES.LOADING}</p>`;
+        
+        try {
+            const activity = await githubApi.getActivity(projectsData);
+            const hasCommits = activity.days.some(day => day.count > 0);
+            
+            if (!hasCommits && isEmpty(activity.feed)) {
+                container.innerHTML = `<p class="text-center">${CONFIG.MESSAGES.NO_ACTIVITY}</p>`;
+                return;
+            }
+            
+            container.innerHTML = `
+                ${hasCommits ? `
+                    <div class="activity__panel">
+                        <h3 class="activity__title">コミット</h3>
+                        ${activityRenderer.renderHeatmap(activity.days)}
+                    </div>
+                ` : ''}
+                ${!isEmpty(activity.feed) ? `
+                    <div class="activity__panel">
+                        <h3 class="activity__title">最近のアクティビティ</h3>
+                        ${activityRenderer.renderFeed(activity.feed)}
+                    </div>
+                ` : ''}
+            `;
+            
+        } catch (error) {
+            ErrorHandler.log(error, 'Activity rendering');
+            container.innerHTML = `<p class="text-center">${CONFIG.MESSAGES.ACTIVITY_ERROR}</p>`;
+        }
+    }
+    
+    /**
+     * 絞り込み・並び替え後の表示対象プロジェクトを取得
+     * @private
+     * @returns {Array} 表示順のプロジェクト
+     */
+    getVisibleProjects() {
+        return projectFilter.sort(projectFilter.apply(projectsData));
+    }
+    
+    /**
+     * 絞り込み状態をURLに反映し、取得済みのデータでプロジェクト一覧を再描画
+     * 絞り込みごとに履歴が増えないよう replaceState で書き換える
+     * @private
+     * @returns {Promise<void>}
+     */
+    async applyFilters() {
+        history.replaceState(history.state, '', projectFilter.writeToUrl(window.location.href));
+        await this.renderProjects({ resetPage: true });
+        this.enrichRenderedProjects();
+    }
+    
+    /**
+     * 並び順の選択肢を生成
+     * @private
+     * @returns {void}
+     */
+    renderSortOptions() {
+        if (!this.elements.projectsSort) return;
+        
+        this.elements.projectsSort.innerHTML = Object.entries(PROJECT_FILTER_CONFIG.SORT_ORDERS)
+            .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+            .join('');
+    }
+    
+    /**
+     * 検索欄・Featuredのみの切り替え・並び順を絞り込み状態に合わせる
+     * @private
+     * @returns {void}
+     */
+    syncFilterControls() {
+        const { query, featuredOnly, sort } = projectFilter.getState();
+        
+        if (this.elements.projectsSearch) {
+            this.elements.projectsSearch.value = query;
+        }
+        if (this.elements.projectsFeaturedOnly) {
+            this.elements.projectsFeaturedOnly.checked = featuredOnly;
+        }
+        if (this.elements.projectsSort) {
+            this.elements.projectsSort.value = sort;
+        }
+    }
+    
+    /**
+     * ランキングのスコア内訳HTMLを生成（デバッグ表示）
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} スコア内訳のHTML
+     */
+    renderRankingDebug(project) {
+        const { total, components } = projectRanker.score(project);
+        
+        return `
+            <details class="project-card__ranking">
+                <summary>スコア ${total.toFixed(2)}</summary>
+                <table class="project-card__ranking-table">
+                    <thead>
+                        <tr><th>指標</th><th>値</th><th>重み</th><th>スコア</th></tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(components).map(([name, component]) => `
+                            <tr>
+                                <td>${escapeHtml(name)}</td>
+                                <td>${component.signal.toFixed(2)}</td>
+                                <td>${component.weight}</td>
+                                <td>${component.score.toFixed(2)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+    
+    /**
+     * ランキングのスコア内訳をログに出力（デバッグ表示。?debug=render で出力される）
+     * @private
+     * @param {Array} projects - 表示順のプロジェクト
+     * @returns {void}
+     */
+    logRanking(projects) {
+        logger.debug('render', 'ランキング: スコアの内訳', projects.map(project => {
+            const { total, components } = projectRanker.score(project);
+            const row = { project: project.title, total: Number(total.toFixed(2)) };
+            Object.entries(components).forEach(([name, component]) => {
+                row[name] = Number(component.score.toFixed(2));
+            });
+            return row;
+        }));
+    }
+    
+    /**
+     * 技術スタックのチップHTMLを生成
+     * タクソノミーに登録された技術は分類ごとに色分けする
+     * @private
+     * @param {string} tech - 技術名
+     * @returns {string} チップのHTML
+     */
+    renderTechnologyChip(tech) {
+        const category = technologyTaxonomy.getCategory(tech);
+        const modifier = category ? ` project-card__tech--${category}` : '';
+        const title = category ? ` title="${escapeHtml(TECHNOLOGY_CATEGORIES[category])}"` : '';
+        
+        return `<span class="project-card__tech${modifier}"${title}>${escapeHtml(tech)}</span>`;
+    }
+    
+    /**
+     * 表示中のプロジェクトの所有者一覧を取得
+     * @private
+     * @returns {Array<string>} 所有者（ユーザー・組織）の一覧
+     */
+    getProjectOwners() {
+        const owners = projectsData.map(project => this.getProjectOwner(project)).filter(Boolean);
+        return [...new Set(owners)];
+    }
+    
+    /**
+     * プロジェクトの所有者を取得
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string|null} 所有者（ユーザー・組織）
+     */
+    getProjectOwner(project) {
+        return project.githubData ? project.githubData.owner : null;
+    }
+    
+    /**
+     * 絞り込みのチップ（所有者・言語・技術）と件数を表示
+     * 所有者は複数いる場合（またはURLで指定された場合）のみ表示する
+     * @private
+     * @param {number} visibleCount - 絞り込み後の件数
+     * @returns {void}
+     */
+    renderFilters(visibleCount) {
+        const { projectsFilters, projectsFacets, projectsFilterSummary } = this.elements;
+        if (!projectsFilters) return;
+        
+        projectsFilters.hidden = false;
+        const facets = projectFilter.getFacets(projectsData);
+        const owners = facets.owner.length > 1 || projectFilter.getState().owner ? facets.owner : [];
+        
+        const group = (name, label, items, format = value => value) => {
+            if (items.length === 0) return '';
+            
+            return `
+                <div class="projects__facet" role="group" aria-label="${escapeHtml(label)}で絞り込み">
+                    <span class="projects__facet-label">${escapeHtml(label)}</span>
+                    ${items.map(({ value, count, active }) => `
+                        <button type="button" class="projects__filter-button${active ? ' projects__filter-button--active' : ''}" data-filter-group="${name}" data-filter-value="${escapeHtml(value)}" aria-pressed="${active}"${count === 0 && !active ? ' disabled' : ''}>
+                            ${escapeHtml(format(value))} <span class="projects__filter-count">${count}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+        };
+        
+        if (projectsFacets) {
+            // 再描画後もキーボード操作を続けられるよう、フォーカス中のチップを復元する
+            const focused = projectsFacets.contains(document.activeElement) ? document.activeElement.dataset : null;
+            
+            projectsFacets.innerHTML = [
+                group('owner', '所有者', owners, owner => `@${owner}`),
+                group('languages', '言語', facets.languages),
+                group('technologies', '技術', facets.technologies)
+            ].join('');
+            
+            if (focused) {
+                const chip = Array.from(projectsFacets.querySelectorAll('[data-filter-group]')).find(button =>
+                    button.dataset.filterGroup === focused.filterGroup && button.dataset.filterValue === focused.filterValue
+                );
+                if (chip) chip.focus();
+            }
+        }
+        
+        if (projectsFilterSummary) {
+            projectsFilterSummary.innerHTML = projectFilter.isActive() ? `
+                ${CONFIG.MESSAGES.FILTER_SUMMARY
+                    .replace('{count}', visibleCount)
+                    .replace('{total}', projectsData.length)}
+                <button type="button" class="projects__filter-clear" data-action="clear-filters">条件をクリア</button>
+            ` : '';
+        }
+    }
+    
+    /**
+     * ルートを登録し、現在のURLに対応する表示を行う
+     * プロジェクトデータの読み込み後に呼び出す（詳細ビューの対象を特定するため）
+     * @private
+     * @returns {void}
+     */
+    setupRoutes() {
+        this.defaultPageMeta = {
+            title: document.title,
+            description: this.elements.metaDescription ? this.elements.metaDescription.getAttribute('content') : ''
+        };
+        
+        router
+            .add('/', () => this.showHome())
+            .add('/projects/:repo', ({ repo }) => this.showProjectRoute(null, repo))
+            .add('/projects/:owner/:repo', ({ owner, repo }) => this.showProjectRoute(owner, repo))
+            .setNotFound(path => this.showNotFound(CONFIG.MESSAGES.NOT_FOUND.replace('{path}', path)));
+        
+        router.start();
+    }
+    
+    /**
+     * トップページ（ルート '/'）を表示
+     * @private
+     * @returns {void}
+     */
+    showHome() {
+        this.hideNotFound();
+        this.closeProjectDetail();
+        this.setPageMeta();
+    }
+    
+    /**
+     * プロジェクトのルートを表示（詳細ビューを開く）
+     * @private
+     * @param {string|null} owner - 所有者（同名のリポジトリがある場合のみ指定）
+     * @param {string} repo - リポジトリ名またはプロジェクトID
+     * @returns {void}
+     */
+    showProjectRoute(owner, repo) {
+        const project = this.findProjectByRoute(owner, repo);
+        if (!project) {
+            this.showNotFound(CONFIG.MESSAGES.PROJECT_NOT_FOUND.replace('{name}', owner ? `${owner}/${repo}` : repo));
+            return;
+        }
+        
+        this.hideNotFound();
+        this.openProjectDetail(project.id);
+        this.setPageMeta(project.title, project.description);
+    }
+    
+    /**
+     * Not Found表示
+     * @private
+     * @param {string} message - 表示するメッセージ
+     * @returns {void}
+     */
+    showNotFound(message) {
+        this.closeProjectDetail();
+        
+        const { notFound, notFoundMessage, notFoundHome } = this.elements;
+        if (notFoundMessage) {
+            notFoundMessage.textContent = message;
+        }
+        if (notFoundHome) {
+            notFoundHome.setAttribute('href', router.buildHref('/'));
+        }
+        if (notFound) {
+            notFound.hidden = false;
+        }
+        safeAddClass(this.elements.body, 'route-not-found');
+        this.setPageMeta(CONFIG.MESSAGES.NOT_FOUND_TITLE, message);
+        window.scrollTo(0, 0);
+    }
+    
+    /**
+     * Not Found表示を解除
+     * @private
+     * @returns {void}
+     */
+    hideNotFound() {
+        if (this.elements.notFound) {
+            this.elements.notFound.hidden = true;
+        }
+        safeRemoveClass(this.elements.body, 'route-not-found');
+    }
+    
+    /**
+     * ページタイトルと説明文（meta description）を設定
+     * @private
+     * @param {string} [title] - ページ名（省略時はサイトの既定値）
+     * @param {string} [description] - 説明文（省略時はサイトの既定値）
+     * @returns {void}
+     */
+    setPageMeta(title, description) {
+        const defaults = this.defaultPageMeta;
+        if (!defaults) return;
+        
+        document.title = title ? `${title} - ${defaults.title}` : defaults.title;
+        if (this.elements.metaDescription) {
+            this.elements.metaDescription.setAttribute('content', description || defaults.description);
+        }
+    }
+    
+    /**
+     * プロジェクトのルートのパスを取得
+     * 別の所有者に同名のリポジトリがある場合のみ /projects/{owner}/{repo} とする
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} パス
+     */
+    getProjectPath(project) {
+        const { owner, name } = project.githubData || {};
+        if (!name) return `/projects/${encodeURIComponent(project.id)}`;
+        
+        const sameName = projectsData.filter(item =>
+            item.githubData && String(item.githubData.name).toLowerCase() === name.toLowerCase()
+        );
+        return sameName.length > 1 && owner ?
+            `/projects/${encodeURIComponent(owner)}/${encodeURIComponent(name)}` :
+            `/projects/${encodeURIComponent(name)}`;
+    }
+    
+    /**
+     * ルートのパラメータからプロジェクトを検索（大文字小文字は区別しない）
+     * @private
+     * @param {string|null} owner - 所有者
+     * @param {string} repo - リポジトリ名またはプロジェクトID
+     * @returns {Object|null} プロジェクトデータ
+     */
+    findProjectByRoute(owner, repo) {
+        const equals = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        
+        return projectsData.find(project => {
+            const { githubData } = project;
+            return githubData && equals(githubData.name, repo) && (!owner || equals(githubData.owner, owner));
+        }) || projectsData.find(project => !owner && equals(project.id, repo)) || null;
+    }
+    
+    /**
+     * プロジェクト詳細ビューを開く
+     * @param {string} projectId - プロジェクトID
+     * @returns {void}
+     */
+    openProjectDetail(projectId) {
+        const project = projectsData.find(item => item.id === projectId);
+        const { projectDetail, projectDetailContent } = this.elements;
+        if (!project || !projectDetail || !projectDetailContent) return;
+        
+        // 閉じた後に元の位置へフォーカスを戻す
+        if (!this.activeProjectId) {
+            this.detailReturnFocus = document.activeElement;
+        }
+        this.activeProjectId = project.id;
+        
+        // 前に開いていたプロジェクトの取得は不要になるため中止する
+        this.abortDetailRequests();
+        this.detailAbortController = new AbortController();
+        
+        projectDetailContent.innerHTML = this.renderProjectDetail(project);
+        projectDetail.hidden = false;
+        safeAddClass(this.elements.body, 'detail-open');
+        
+        if (this.elements.projectDetailClose) {
+            this.elements.projectDetailClose.focus();
+        }
+        
+        const { signal } = this.detailAbortController;
+        ErrorHandler.safeExecute(() => this.loadProjectReadme(project, signal), 'README読み込み');
+        ErrorHandler.safeExecute(() => this.loadReleaseTimeline(project, signal), 'リリース読み込み');
+    }
+    
+    /**
+     * プロジェクト詳細ビューを閉じる
+     * @returns {void}
+     */
+    closeProjectDetail() {
+        if (!this.activeProjectId) return;
+        
+        this.activeProjectId = null;
+        this.abortDetailRequests();
+        if (this.elements.projectDetail) {
+            this.elements.projectDetail.hidden = true;
+        }
+        safeRemoveClass(this.elements.body, 'detail-open');
+        
+        if (this.detailReturnFocus && typeof this.detailReturnFocus.focus === 'function') {
+            this.detailReturnFocus.focus();
+        }
+        this.detailReturnFocus = null;
+    }
+    
+    /**
+     * 詳細ビューで実行中のAPIリクエストを中止
+     * @private
+     * @returns {void}
+     */
+    abortDetailRequests() {
+        if (this.detailAbortController) {
+            this.detailAbortController.abort();
+            this.detailAbortController = null;
+        }
+    }
+    
+    /**
+     * プロジェクト詳細ビューのHTMLを生成
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} 詳細ビューのHTML
+     */
+    renderProjectDetail(project) {
+        return `
+            <header class="project-detail__header">
+                <h2 class="project-detail__title" id="projectDetailTitle">${escapeHtml(project.title)}</h2>
+                <p class="project-detail__description">${escapeHtml(project.description)}</p>
+                ${project.githubData ? `
+                    <p class="project-detail__meta">
+                        ${project.githubData.stars > 0 ? `<span>⭐ ${project.githubData.stars}</span>` : ''}
+                        ${project.githubData.language ? `<span>${escapeHtml(project.githubData.language)}</span>` : ''}
+                        <span>更新: ${formatDate(project.githubData.updatedAt, 'YYYY/MM/DD')}</span>
+                    </p>
+                ` : ''}
+                ${this.renderLanguageBar(project)}
+                <div class="project-card__actions">
+                    ${this.renderDemoAction(project)}
+                    ${project.sourceUrl ? 
+                        `<a href="${escapeHtml(project.sourceUrl)}" class="project-card__link project-card__link--secondary" target="_blank" rel="noopener noreferrer">Code</a>` : ''
+                    }
+                </div>
+            </header>
+            <section class="project-detail__readme markdown-body" id="projectDetailReadme" aria-live="polite">
+                <p class="text-center">${CONFIG.MESSAGES.README_LOADING}</p>
+            </section>
+            <section class="project-detail__releases" id="projectDetailReleases" hidden></section>
+        `;
+    }
+    
+    /**
+     * リリース一覧を取得して詳細ビューにタイムラインを表示
+     * リリースがないプロジェクトでは何も表示しない
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @param {AbortSignal} [signal] - 詳細ビューを閉じた際の中止シグナル
+     * @returns {Promise<void>}
+     */
+    async loadReleaseTimeline(project, signal) {
+        const { owner, name } = project.githubData || {};
+        const isGitHub = (project.source || 'github') === 'github';
+        if (!owner || !isGitHub || !GITHUB_CONFIG.FETCH_RELEASES) return;
+        
+        let html;
+        try {
+            // 以前に詳細ビューで取得済みであれば再利用する
+            let releases = project.githubData.releases;
+            if (!releases) {
+                releases = await githubApi.getReleases(owner, name, { signal });
+                project.githubData.releases = releases;
+                project.githubData.latestRelease = releases[0] || null;
+            }
+            html = isEmpty(releases) ? '' : this.renderReleaseTimeline(project, releases);
+        } catch (error) {
+            // 詳細ビューを閉じて中止した場合は何もしない
+            if (error.name === 'AbortError') return;
+            ErrorHandler.log(error, `リリース取得 (${project.title})`);
+            html = `<p class="text-center">${CONFIG.MESSAGES.RELEASES_ERROR}</p>`;
+        }
+        
+        // 取得中に別のプロジェクトへ切り替わった場合は反映しない
+        if (this.activeProjectId !== project.id) return;
+        
+        const container = safeQuerySelector('#projectDetailReleases');
+        if (container) {
+            container.innerHTML = html;
+            container.hidden = !html;
+        }
+    }
+    
+    /**
+     * リリースのタイムラインHTMLを生成（リリースノートはMarkdownとして表示）
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @param {Array} releases - 新しい順のリリース
+     * @returns {string} タイムラインのHTML
+     */
+    renderReleaseTimeline(project, releases) {
+        const { owner, name } = project.githubData;
+        
+        return `
+            <h3 class="project-detail__section-title">リリース</h3>
+            <ol class="release-timeline">
+                ${releases.map((release, index) => {
+                    const notes = renderMarkdown(release.body, {
+                        imageBaseUrl: `https://raw.githubusercontent.com/${owner}/${name}/${release.tag}/`,
+                        linkBaseUrl: `https://github.com/${owner}/${name}/blob/${release.tag}/`,
+                        idPrefix: `release-${index}-`
+                    });
+                    
+                    return `
+                        <li class="release-timeline__item">
+                            <div class="release-timeline__header">
+                                <a href="${escapeHtml(release.url)}" class="release-timeline__tag" target="_blank" rel="noopener noreferrer">${escapeHtml(release.tag)}</a>
+                                ${release.name !== release.tag ? `<span class="release-timeline__name">${escapeHtml(release.name)}</span>` : ''}
+                                ${release.prerelease ? '<span class="release-timeline__label">Pre-release</span>' : ''}
+                                <time class="release-timeline__date" datetime="${escapeHtml(release.publishedAt.toISOString())}">${formatDate(release.publishedAt, 'YYYY/MM/DD')}</time>
+                            </div>
+                            ${notes ? `<div class="release-timeline__notes markdown-body">${notes}</div>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+    
+    /**
+     * READMEを取得して詳細ビューに表示
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @param {AbortSignal} [signal] - 詳細ビューを閉じた際の中止シグナル
+     * @returns {Promise<void>}
+     */
+    async loadProjectReadme(project, signal) {
+        const { owner, name, defaultBranch } = project.githubData || {};
+        const isGitHub = (project.source || 'github') === 'github';
+        let html;
+        
+        try {
+            // README取得はGitHubのプロジェクトのみ対応
+            const readme = owner && isGitHub ? await githubApi.getReadme(owner, name, defaultBranch, { signal }) : null;
+            html = readme ?
+                renderMarkdown(readme.markdown, {
+                    imageBaseUrl: readme.imageBaseUrl,
+                    linkBaseUrl: readme.linkBaseUrl,
+                    rootImageBaseUrl: readme.rootImageBaseUrl,
+                    rootLinkBaseUrl: readme.rootLinkBaseUrl,
+                    idPrefix: 'readme-'
+                }) :
+                '';
+            if (!html) {
+                html = `<p class="text-center">${CONFIG.MESSAGES.NO_README}</p>`;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            ErrorHandler.log(error, `README取得 (${project.title})`);
+            html = `<p class="text-center">${CONFIG.MESSAGES.README_ERROR}</p>`;
+        }
+        
+        // 取得中に別のプロジェクトへ切り替わった場合は反映しない
+        if (this.activeProjectId !== project.id) return;
+        
+        const container = safeQuerySelector('#projectDetailReadme');
+        if (container) {
+            container.innerHTML = html;
+        }
+    }
+    
+    /**
+     * GitHub APIの状態・取得に失敗したプロバイダーに応じたお知らせのHTMLを生成
+     * 一部のデータのみ表示している状態のため、再試行ボタンを添える
+     * @private
+     * @param {Object} status - githubApi.getStatus() の戻り値
+     * @param {Array<string>} [failedProviders] - 取得に失敗したプロバイダーの表示名
+     * @returns {string} お知らせのHTML（正常時は空文字）
+     */
+    renderApiStatusNotice(status, failedProviders = []) {
+        const messages = [this.getApiStatusMessage(status)];
+        if (!isEmpty(failedProviders)) {
+            messages.push(CONFIG.MESSAGES.PARTIAL_PROVIDERS.replace('{providers}', failedProviders.join('・')));
+        }
+        
+        const message = messages.filter(Boolean).join(' / ');
+        if (!message) return '';
+        
+        const state = status.state === 'ok' ? 'partial' : status.state;
+        return `
+            <div class="projects__notice projects__notice--${escapeHtml(state)}" role="status">
+                <p class="projects__notice-message">${escapeHtml(message)}</p>
+                ${this.renderRetryButton()}
+            </div>
+        `;
+    }
+    
+    /**
+     * GitHub APIの状態メッセージを取得
+     * @private
+     * @param {Object} status - API状態
+     * @returns {string} 表示メッセージ（正常時は空文字）
+     */
+    getApiStatusMessage(status) {
+        const time = (date) => formatDate(date, 'HH:mm');
+        
+        switch (status.state) {
+            case 'rate-limited':
+                if (status.cachedAt) {
+                    return CONFIG.MESSAGES.RATE_LIMITED_CACHED.replace('{time}', time(status.cachedAt));
+                }
+                return status.resetAt ?
+                    CONFIG.MESSAGES.RATE_LIMITED.replace('{time}', time(status.resetAt)) :
+                    CONFIG.MESSAGES.RATE_LIMITED_UNKNOWN;
+            case 'offline':
+                return status.cachedAt ?
+                    CONFIG.MESSAGES.OFFLINE_CACHED.replace('{time}', time(status.cachedAt)) :
+                    CONFIG.MESSAGES.NETWORK_ERROR;
+            case 'partial':
+                return CONFIG.MESSAGES.PARTIAL_ACCOUNTS.replace('{accounts}', status.message);
+            case 'error':
+                return CONFIG.MESSAGES.API_ERROR;
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * スキルレベルのテキスト取得
+     * @private
+     * @param {string} level - スキルレベル
+     * @returns {string} レベルテキスト
+     */
+    getLevelText(level) {
+        const levelMap = {
             'beginner': '基礎',
             'intermediate': '中級',
             'advanced': '上級'
@@ -499,6 +1997,9 @@ class PortfolioApp {
         
         const href = e.currentTarget.getAttribute('href');
         if (href && href.startsWith('#')) {
+            // Not Found表示中はトップページに戻してからスクロールする
+            router.navigate('/');
+            
             const targetId = href.substring(1);
             smoothScrollTo(targetId);
             
@@ -539,8 +2040,10 @@ class PortfolioApp {
      * @returns {void}
      */
     handleKeyDown(e) {
-        // Escapeキーでモバイルメニューを閉じる
-        if (e.key === 'Escape' && this.isMobileMenuOpen) {
+        // Escapeキーで詳細ビュー・モバイルメニューを閉じる
+        if (e.key === 'Escape' && this.activeProjectId) {
+            router.navigate('/');
+        } else if (e.key === 'Escape' && this.isMobileMenuOpen) {
             this.closeMobileMenu();
         }
     }
@@ -606,7 +2109,7 @@ class PortfolioApp {
                 threshold: 0.1
             };
             
-            const observer = new IntersectionObserver((entries) => {
+            this.animationObserver = new IntersectionObserver((entries) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
                         safeAddClass(entry.target, 'animate-in');
@@ -615,12 +2118,24 @@ class PortfolioApp {
             }, observerOptions);
             
             // アニメーション対象要素の監視開始
-            const animationTargets = safeQuerySelectorAll('.skill-card, .project-card, .about__content');
-            animationTargets.forEach(target => {
-                observer.observe(target);
-            });
+            this.observeAnimations(safeQuerySelectorAll('.skill-card, .project-card, .about__content'));
         }
     }
+    
+    /**
+     * 要素を表示アニメーションの監視対象に追加
+     * setupAnimations() の実行前に描画された要素は、setupAnimations() でまとめて追加される
+     * @private
+     * @param {Array<Element>|NodeList} targets - 対象の要素
+     * @returns {void}
+     */
+    observeAnimations(targets) {
+        if (!this.animationObserver) return;
+        
+        targets.forEach(target => {
+            this.animationObserver.observe(target);
+        });
+    }
 }
 
 // アプリケーション開始
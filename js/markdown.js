@@ -0,0 +1,486 @@
+/**
+ * Markdownレンダリングモジュール
+ * README・リリースノートを安全なHTMLに変換する
+ *
+ * 生のHTMLタグは出力せず、このモジュールが生成するタグのみを使用する。
+ * URLは http / https / mailto / ページ内リンク以外を無効化し、
+ * 相対パスは指定されたベースURLで絶対URLへ書き換える。
+ */
+
+// 許可するURLスキーム
+const MARKDOWN_ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * 属性値にも使えるHTMLエスケープ
+ * @private
+ * @param {string} str - エスケープする文字列
+ * @returns {string} エスケープされた文字列
+ */
+const escapeMarkdownHtml = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * 見出しテキストからアンカー用のIDを生成
+ * @private
+ * @param {string} text - 見出しテキスト
+ * @returns {string} スラッグ
+ */
+const slugifyHeading = (text) => text
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/[^\w぀-ヿ㐀-鿿\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+
+/**
+ * Markdownレンダラークラス
+ */
+class MarkdownRenderer {
+    /**
+     * @param {Object} options - レンダリングオプション
+     * @param {string} [options.imageBaseUrl] - 相対パスの画像を解決するベースURL
+     * @param {string} [options.linkBaseUrl] - 相対パスのリンクを解決するベースURL
+     * @param {string} [options.rootImageBaseUrl] - "/" 始まりの画像を解決するベースURL
+     * @param {string} [options.rootLinkBaseUrl] - "/" 始まりのリンクを解決するベースURL
+     * @param {string} [options.idPrefix] - 見出しIDの接頭辞（ページ内のID衝突回避）
+     */
+    constructor(options = {}) {
+        this.options = {
+            imageBaseUrl: '',
+            linkBaseUrl: '',
+            rootImageBaseUrl: options.imageBaseUrl || '',
+            rootLinkBaseUrl: options.linkBaseUrl || '',
+            idPrefix: 'md-',
+            ...options
+        };
+    }
+
+    /**
+     * MarkdownをHTMLに変換
+     * @param {string} markdown - Markdown文字列
+     * @returns {string} サニタイズ済みHTML
+     */
+    render(markdown) {
+        if (typeof markdown !== 'string' || markdown.trim() === '') return '';
+
+        const lines = markdown
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u0000/g, '') // インライン要素の退避用の区切り文字は入力から除去
+            .replace(/<!--[\s\S]*?-->/g, '') // HTMLコメントは除去
+            .replace(/\t/g, '    ')
+            .split('\n');
+
+        return this.renderBlocks(lines);
+    }
+
+    /**
+     * ブロック要素の変換
+     * @private
+     * @param {Array<string>} lines - 行の配列
+     * @returns {string} HTML
+     */
+    renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // 空行
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            // コードブロック（``` または ~~~）
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+            if (fence) {
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                i++; // 閉じフェンス
+                const languageClass = fence[2] ? ` class="language-${escapeMarkdownHtml(fence[2])}"` : '';
+                html.push(`<pre><code${languageClass}>${escapeMarkdownHtml(codeLines.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // 見出し
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                const id = this.options.idPrefix + slugifyHeading(heading[2]);
+                html.push(`<h${level} id="${escapeMarkdownHtml(id)}">${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // 水平線
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // 引用
+            if (/^\s{0,3}>/.test(line)) {
+                const quoteLines = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                    quoteLines.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoteLines)}</blockquote>`);
+                continue;
+            }
+
+            // テーブル（ヘッダー行 + 区切り行）
+            if (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1])) {
+                i = this.renderTable(lines, i, html);
+                continue;
+            }
+
+            // リスト
+            if (this.matchListItem(line)) {
+                i = this.renderList(lines, i, html);
+                continue;
+            }
+
+            // 段落（空行・他のブロック開始まで）
+            const paragraphLines = [];
+            while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines, i)) {
+                paragraphLines.push(lines[i].trim());
+                i++;
+            }
+            if (paragraphLines.length === 0) {
+                // 変換できない行は段落として扱い、無限ループを防ぐ
+                paragraphLines.push(lines[i].trim());
+                i++;
+            }
+            const paragraph = this.renderInline(paragraphLines.join('\n')).replace(/\n/g, ' ').trim();
+            if (paragraph) {
+                html.push(`<p>${paragraph}</p>`);
+            }
+        }
+
+        return html.join('\n');
+    }
+
+    /**
+     * 行が段落以外のブロックを開始するかどうか
+     * @private
+     * @param {Array<string>} lines - 行の配列
+     * @param {number} i - 判定する行の位置
+     * @returns {boolean} ブロック開始かどうか
+     */
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return /^\s*(`{3,}|~{3,})/.test(line) ||
+            /^\s{0,3}#{1,6}\s/.test(line) ||
+            /^\s{0,3}>/.test(line) ||
+            /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            Boolean(this.matchListItem(line)) ||
+            (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1]));
+    }
+
+    /**
+     * テーブルの区切り行かどうか
+     * @private
+     * @param {string} line - 行
+     * @returns {boolean} 区切り行かどうか
+     */
+    isTableSeparator(line) {
+        return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+    }
+
+    /**
+     * テーブル行をセルに分割
+     * @private
+     * @param {string} line - 行
+     * @returns {Array<string>} セルの配列
+     */
+    splitTableRow(line) {
+        return line
+            .trim()
+            .replace(/^\|/, '')
+            .replace(/\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    /**
+     * テーブルの変換
+     * @private
+     * @param {Array<string>} lines - 行の配列
+     * @param {number} start - ヘッダー行の位置
+     * @param {Array<string>} html - 出力先
+     * @returns {number} 次に処理する行の位置
+     */
+    renderTable(lines, start, html) {
+        const headers = this.splitTableRow(lines[start]);
+        const aligns = this.splitTableRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return '';
+        });
+        const alignAttr = (index) => aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+
+        let i = start + 2;
+        const rows = [];
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+            rows.push(this.splitTableRow(lines[i]));
+            i++;
+        }
+
+        html.push(`
+<div class="markdown-table"><table>
+<thead><tr>${headers.map((cell, index) => `<th${alignAttr(index)}>${this.renderInline(cell)}</th>`).join('')}</tr></thead>
+<tbody>${rows.map(row => `<tr>${headers.map((_, index) => `<td${alignAttr(index)}>${this.renderInline(row[index] || '')}</td>`).join('')}</tr>`).join('')}</tbody>
+</table></div>`.trim());
+
+        return i;
+    }
+
+    /**
+     * リスト項目の判定
+     * @private
+     * @param {string} line - 行
+     * @returns {Object|null} インデント・種類・本文、またはnull
+     */
+    matchListItem(line) {
+        const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+        if (!match) return null;
+
+        return {
+            indent: match[1].length,
+            ordered: /\d/.test(match[2]),
+            start: parseInt(match[2]) || 1,
+            contentOffset: match[1].length + match[2].length + 1,
+            text: match[3]
+        };
+    }
+
+    /**
+     * リストの変換（インデントによる入れ子に対応）
+     * @private
+     * @param {Array<string>} lines - 行の配列
+     * @param {number} start - 最初のリスト項目の位置
+     * @param {Array<string>} html - 出力先
+     * @returns {number} 次に処理する行の位置
+     */
+    renderList(lines, start, html) {
+        const first = this.matchListItem(lines[start]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const item = this.matchListItem(lines[i]);
+            if (!item || item.indent !== first.indent || item.ordered !== first.ordered) break;
+
+            // 項目に続く、より深いインデントの行は子要素として扱う
+            const childLines = [];
+            i++;
+            while (i < lines.length) {
+                const next = lines[i];
+                const indent = next.match(/^\s*/)[0].length;
+                if (next.trim() === '') {
+                    const following = lines[i + 1];
+                    if (following !== undefined && following.trim() !== '' &&
+                        following.match(/^\s*/)[0].length > first.indent) {
+                        childLines.push('');
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                if (indent <= first.indent) break;
+                childLines.push(next.slice(Math.min(indent, item.contentOffset)));
+                i++;
+            }
+
+            items.push({ text: item.text, childLines });
+
+            // 空行を挟んで同じリストが続く場合
+            if (i < lines.length && lines[i].trim() === '') {
+                const nextItem = this.matchListItem(lines[i + 1] || '');
+                if (nextItem && nextItem.indent === first.indent && nextItem.ordered === first.ordered) {
+                    i++;
+                }
+            }
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+
+        html.push(`<${tag}${startAttr}>${items.map(item => {
+            const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+            const content = task ?
+                `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${this.renderInline(task[2])}` :
+                this.renderInline(item.text);
+            const children = item.childLines.length > 0 ? this.renderBlocks(item.childLines) : '';
+            return `<li${task ? ' class="task-list-item"' : ''}>${content}${children}</li>`;
+        }).join('')}</${tag}>`);
+
+        return i;
+    }
+
+    /**
+     * インライン要素の変換
+     * コード・画像・リンクを先に退避し、残りのテキストをエスケープしてから装飾する
+     * @private
+     * @param {string} text - テキスト
+     * @returns {string} HTML
+     */
+    renderInline(text) {
+        const tokens = [];
+        const stash = (fragment) => `\u0000${tokens.push(fragment) - 1}\u0000`;
+
+        let result = text
+            // インラインコード
+            .replace(/(`+)([\s\S]+?)\1/g, (_, __, code) => stash(`<code>${escapeMarkdownHtml(code.trim())}</code>`))
+            // 画像
+            .replace(/!\[([^\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s>]*\))+)>?(?:\s+["']([^"']*)["'])?\s*\)/g, (_, alt, url, title) =>
+                stash(this.renderImage(alt, url, title)))
+            // リンク（画像を含むバッジ形式にも対応）。画像・リンクのURLは対になった括弧を含められる
+            .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s>]|\([^()\s>]*\))+)>?(?:\s+["']([^"']*)["'])?\s*\)/g, (_, label, url, title) =>
+                stash(this.renderLink(this.formatText(label), url, title)))
+            // READMEでよく使われる <img> タグは画像として扱う
+            .replace(/<img\s[^>]*?src=["']([^"']+)["'][^>]*>/gi, (tag, url) => {
+                const alt = tag.match(/alt=["']([^"']*)["']/i);
+                return stash(this.renderImage(alt ? alt[1] : '', url));
+            })
+            // 自動リンク
+            .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, (_, url) =>
+                stash(this.renderLink(escapeMarkdownHtml(url), url)))
+            // 生のHTMLタグは出力しない（テキストのみ残す）
+            .replace(/<\/?[a-zA-Z][^>]*>/g, '');
+
+        result = this.formatText(result);
+
+        // 退避したトークンを復元（リンク内の画像など入れ子も復元する）
+        // トークンが含められるのは先に退避したトークンのみのため、それより前の番号だけを展開する
+        const restore = (fragment, limit) => fragment.replace(/\u0000(\d+)\u0000/g, (marker, index) =>
+            Number(index) < limit ? restore(tokens[index], Number(index)) : marker);
+
+        return restore(result, tokens.length);
+    }
+
+    /**
+     * テキストのエスケープと強調表現の変換
+     * @private
+     * @param {string} text - テキスト
+     * @returns {string} HTML
+     */
+    formatText(text) {
+        return escapeMarkdownHtml(text)
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|\W)__([^_]+)__(?=\W|$)/g, '$1<strong>$2</strong>')
+            .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>')
+            .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+    }
+
+    /**
+     * リンクの生成
+     * @private
+     * @param {string} labelHtml - エスケープ済みのリンクテキスト
+     * @param {string} url - リンク先
+     * @param {string} [title] - タイトル
+     * @returns {string} HTML（URLが無効な場合はテキストのみ）
+     */
+    renderLink(labelHtml, url, title) {
+        if (url.startsWith('#')) {
+            const anchor = `#${this.options.idPrefix}${slugifyHeading(this.decodeFragment(url.slice(1)))}`;
+            return `<a href="${escapeMarkdownHtml(anchor)}">${labelHtml}</a>`;
+        }
+
+        const resolved = this.resolveUrl(url, this.options.linkBaseUrl, this.options.rootLinkBaseUrl);
+        if (!resolved) return labelHtml;
+
+        const titleAttr = title ? ` title="${escapeMarkdownHtml(title)}"` : '';
+        return `<a href="${escapeMarkdownHtml(resolved)}"${titleAttr} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
+
+    /**
+     * ページ内リンクのフラグメントをデコード（不正なエスケープはそのまま返す）
+     * @private
+     * @param {string} fragment - '#' を除いたフラグメント
+     * @returns {string} デコードした値
+     */
+    decodeFragment(fragment) {
+        try {
+            return decodeURIComponent(fragment);
+        } catch {
+            return fragment;
+        }
+    }
+
+    /**
+     * 画像の生成
+     * @private
+     * @param {string} alt - 代替テキスト
+     * @param {string} url - 画像URL
+     * @param {string} [title] - タイトル
+     * @returns {string} HTML（URLが無効な場合は代替テキストのみ）
+     */
+    renderImage(alt, url, title) {
+        const resolved = this.resolveUrl(url, this.options.imageBaseUrl, this.options.rootImageBaseUrl);
+        if (!resolved || resolved.startsWith('mailto:')) return escapeMarkdownHtml(alt);
+
+        const titleAttr = title ? ` title="${escapeMarkdownHtml(title)}"` : '';
+        return `<img src="${escapeMarkdownHtml(resolved)}" alt="${escapeMarkdownHtml(alt)}"${titleAttr} loading="lazy">`;
+    }
+
+    /**
+     * URLを検証し、相対パスを絶対URLに解決
+     * @private
+     * @param {string} url - 元のURL
+     * @param {string} baseUrl - 相対パスのベースURL
+     * @param {string} rootBaseUrl - "/" 始まりのパスのベースURL
+     * @returns {string|null} 安全な絶対URL、または無効な場合null
+     */
+    resolveUrl(url, baseUrl, rootBaseUrl) {
+        try {
+            // スキーム付きのURL
+            if (/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+                const absolute = new URL(url);
+                return MARKDOWN_ALLOWED_PROTOCOLS.includes(absolute.protocol) ? absolute.href : null;
+            }
+
+            // プロトコル相対URL
+            if (url.startsWith('//')) {
+                return new URL(`https:${url}`).href;
+            }
+
+            if (!baseUrl) return null;
+
+            const base = url.startsWith('/') ? rootBaseUrl : baseUrl;
+            const resolved = new URL(url.replace(/^\/+/, ''), base);
+            return MARKDOWN_ALLOWED_PROTOCOLS.includes(resolved.protocol) ? resolved.href : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * MarkdownをサニタイズされたHTMLに変換
+ * @param {string} markdown - Markdown文字列
+ * @param {Object} options - MarkdownRenderer のオプション
+ * @returns {string} HTML
+ */
+const renderMarkdown = (markdown, options = {}) => new MarkdownRenderer(options).render(markdown);
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MarkdownRenderer,
+        renderMarkdown
+    };
+}
\ No newline at end of file
@@ -0,0 +1,384 @@
+/**
+ * プロジェクトの絞り込み・並び替えモジュール
+ * キーワード検索・技術/言語/所有者のチップ・Featuredのみの切り替えと並び順を管理し、
+ * 状態をURLのクエリ文字列と同期して絞り込み結果を共有できるようにする。
+ * 並び順は次回の訪問でも使えるようlocalStorageにも保存する。
+ */
+
+// 絞り込み設定
+const PROJECT_FILTER_CONFIG = {
+    // URLのクエリパラメータ名
+    PARAMS: {
+        query: 'q',
+        technologies: 'tech',
+        languages: 'lang',
+        owner: 'owner',
+        featuredOnly: 'featured',
+        sort: 'sort'
+    },
+    // 並び順と表示名（curated は RANKING_CONFIG の重み付きスコア順）
+    SORT_ORDERS: {
+        curated: 'おすすめ順',
+        updated: '更新日が新しい順',
+        created: '作成日が新しい順',
+        stars: 'スター数が多い順',
+        name: '名前順'
+    },
+    DEFAULT_SORT: 'curated',
+    SORT_STORAGE_KEY: 'portfolio-project-sort', // 選択した並び順を保存するlocalStorageのキー
+    MAX_TECHNOLOGY_FACETS: 12, // 技術チップの表示数（件数の多い順。選択中のものは常に表示）
+    SEARCH_DEBOUNCE: 200       // 検索入力から絞り込みまでの待機時間（ミリ秒）
+};
+
+/**
+ * プロジェクト絞り込み・並び替えクラス
+ * グループ間はすべての条件を満たすもの（AND）を表示する。
+ * 技術は選択したすべてを含むもの（AND）、言語・所有者は1プロジェクトに1つのためいずれかに一致するもの（OR）とする。
+ */
+class ProjectFilter {
+    /**
+     * @param {Object} config - 絞り込み設定
+     */
+    constructor(config = PROJECT_FILTER_CONFIG) {
+        this.config = config;
+        this.state = this.createState();
+    }
+
+    /**
+     * 初期状態を生成
+     * @private
+     * @returns {{query: string, technologies: Array<string>, languages: Array<string>, owner: string|null, featuredOnly: boolean, sort: string}} 絞り込み状態
+     */
+    createState() {
+        return {
+            query: '',
+            technologies: [],
+            languages: [],
+            owner: null,
+            featuredOnly: false,
+            sort: this.config.DEFAULT_SORT
+        };
+    }
+
+    /**
+     * 現在の絞り込み状態を取得
+     * @returns {Object} 絞り込み状態のコピー
+     */
+    getState() {
+        return {
+            ...this.state,
+            technologies: [...this.state.technologies],
+            languages: [...this.state.languages]
+        };
+    }
+
+    /**
+     * 絞り込み条件が指定されているか
+     * @returns {boolean} 条件があるかどうか
+     */
+    isActive() {
+        const { query, technologies, languages, owner, featuredOnly } = this.state;
+        return Boolean(query.trim() || technologies.length || languages.length || owner || featuredOnly);
+    }
+
+    /**
+     * 検索キーワードを設定
+     * @param {string} query - 検索キーワード（空白区切りで複数指定するとすべてを含むもの）
+     * @returns {void}
+     */
+    setQuery(query) {
+        this.state.query = String(query || '');
+    }
+
+    /**
+     * チップの選択を切り替える
+     * @param {string} group - 'technologies' | 'languages' | 'owner'
+     * @param {string} value - 値
+     * @returns {void}
+     */
+    toggle(group, value) {
+        if (group === 'owner') {
+            this.state.owner = this.state.owner === value || !value ? null : value;
+            return;
+        }
+
+        const values = this.state[group];
+        if (!Array.isArray(values)) return;
+
+        this.state[group] = values.includes(value) ?
+            values.filter(item => item !== value) :
+            [...values, value];
+    }
+
+    /**
+     * Featuredのみの表示を設定
+     * @param {boolean} featuredOnly - Featuredのみ表示するか
+     * @returns {void}
+     */
+    setFeaturedOnly(featuredOnly) {
+        this.state.featuredOnly = Boolean(featuredOnly);
+    }
+
+    /**
+     * 並び順を設定し、localStorageに保存
+     * @param {string} sort - SORT_ORDERS のキー（未対応の値は既定の並び順）
+     * @returns {void}
+     */
+    setSort(sort) {
+        this.state.sort = this.isSortOrder(sort) ? sort : this.config.DEFAULT_SORT;
+        this.saveSort(this.state.sort);
+    }
+
+    /**
+     * すべての絞り込み条件を解除（並び順は維持）
+     * @returns {void}
+     */
+    reset() {
+        this.state = { ...this.createState(), sort: this.state.sort };
+    }
+
+    /**
+     * 条件に一致するプロジェクトを取得
+     * @param {Array} projects - プロジェクトデータの配列
+     * @returns {Array} 一致したプロジェクト（元の順序を維持）
+     */
+    apply(projects) {
+        return projects.filter(project => this.matches(project));
+    }
+
+    /**
+     * 選択中の並び順で並び替え
+     * 同順位の場合はおすすめ順（RANKING_CONFIG の重み付きスコア順）とする
+     * @param {Array} projects - プロジェクトデータの配列
+     * @returns {Array} 並び替えた新しい配列
+     */
+    sort(projects) {
+        const time = (project, key) => {
+            const value = project.githubData ? project.githubData[key] : null;
+            return value ? new Date(value).getTime() : 0;
+        };
+        const stars = (project) => project.githubData ? project.githubData.stars || 0 : 0;
+
+        const comparators = {
+            updated: (a, b) => time(b, 'updatedAt') - time(a, 'updatedAt'),
+            created: (a, b) => time(b, 'createdAt') - time(a, 'createdAt'),
+            stars: (a, b) => stars(b) - stars(a),
+            name: (a, b) => String(a.title).localeCompare(String(b.title), 'ja', { numeric: true, sensitivity: 'base' })
+        };
+        const compare = comparators[this.state.sort];
+
+        if (!compare) return projectRanker.rank(projects);
+        return [...projects].sort((a, b) => compare(a, b) || projectRanker.compare(a, b));
+    }
+
+    /**
+     * プロジェクトが条件に一致するか判定
+     * @param {Object} project - プロジェクトデータ
+     * @param {string|null} [ignoreGroup] - 判定から除くグループ（チップの件数計算用）
+     * @returns {boolean} 一致するかどうか
+     */
+    matches(project, ignoreGroup = null) {
+        const { query, technologies, languages, owner, featuredOnly } = this.state;
+        const values = this.getFacetValues(project);
+
+        if (featuredOnly && !project.featured) return false;
+        if (owner && ignoreGroup !== 'owner' && values.owner[0] !== owner) return false;
+        if (languages.length && ignoreGroup !== 'languages' &&
+            !languages.some(language => values.languages.includes(language))) return false;
+        if (technologies.length && ignoreGroup !== 'technologies' &&
+            !technologies.every(technology => values.technologies.includes(technology))) return false;
+
+        const terms = this.normalizeText(query).split(/\s+/).filter(Boolean);
+        if (terms.length) {
+            const text = this.getSearchText(project);
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * チップの一覧と件数を取得
+     * 言語・所有者は自グループの選択を除いた件数、技術は追加で選択した場合の件数を表示する
+     * @param {Array} projects - 絞り込み前のプロジェクト
+     * @returns {{owner: Array, languages: Array, technologies: Array}} グループごとのチップ（value, count, active）
+     */
+    getFacets(projects) {
+        const facets = {
+            owner: this.countFacet(projects, 'owner', 'owner'),
+            languages: this.countFacet(projects, 'languages', 'languages'),
+            technologies: this.countFacet(projects, 'technologies', null)
+        };
+
+        // 技術は件数の多いものに絞る（選択中のものは残す）
+        facets.technologies = facets.technologies.filter((facet, index) =>
+            index < this.config.MAX_TECHNOLOGY_FACETS || facet.active
+        );
+
+        return facets;
+    }
+
+    /**
+     * グループ内の値ごとの件数を集計
+     * @private
+     * @param {Array} projects - 絞り込み前のプロジェクト
+     * @param {string} group - グループ名
+     * @param {string|null} ignoreGroup - 件数の計算時に判定から除くグループ
+     * @returns {Array<{value: string, count: number, active: boolean}>} 件数の多い順のチップ
+     */
+    countFacet(projects, group, ignoreGroup) {
+        const counts = new Map();
+        projects.forEach(project => {
+            this.getFacetValues(project)[group].forEach(value => {
+                if (!counts.has(value)) counts.set(value, 0);
+            });
+        });
+
+        projects
+            .filter(project => this.matches(project, ignoreGroup))
+            .forEach(project => {
+                this.getFacetValues(project)[group].forEach(value => {
+                    counts.set(value, counts.get(value) + 1);
+                });
+            });
+
+        // URLで指定された値がデータにない場合も、解除できるよう表示する
+        const selected = group === 'owner' ? [this.state.owner].filter(Boolean) : this.state[group];
+        selected.forEach(value => {
+            if (!counts.has(value)) counts.set(value, 0);
+        });
+
+        return [...counts.entries()]
+            .map(([value, count]) => ({ value, count, active: selected.includes(value) }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+
+    /**
+     * プロジェクトのチップ対象の値を取得
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {{owner: Array<string>, languages: Array<string>, technologies: Array<string>}} グループごとの値
+     */
+    getFacetValues(project) {
+        const githubData = project.githubData || {};
+        return {
+            owner: githubData.owner ? [githubData.owner] : [],
+            languages: githubData.language ? [githubData.language] : [],
+            technologies: project.technologies || []
+        };
+    }
+
+    /**
+     * 検索対象の文字列（タイトル・説明・トピック）を取得
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {string} 正規化した検索対象
+     */
+    getSearchText(project) {
+        const topics = project.githubData ? project.githubData.topics || [] : [];
+        return this.normalizeText([project.title, project.description, ...topics].join(' '));
+    }
+
+    /**
+     * 照合用に文字列を正規化（全角英数字・大文字小文字の違いを無視）
+     * @private
+     * @param {string} text - 文字列
+     * @returns {string} 正規化した文字列
+     */
+    normalizeText(text) {
+        return String(text || '').normalize('NFKC').toLowerCase();
+    }
+
+    /**
+     * 対応している並び順か
+     * @private
+     * @param {string} sort - 並び順
+     * @returns {boolean} 対応しているかどうか
+     */
+    isSortOrder(sort) {
+        return Object.prototype.hasOwnProperty.call(this.config.SORT_ORDERS, sort);
+    }
+
+    /**
+     * localStorageに保存した並び順を読み込む
+     * @private
+     * @returns {string|null} 並び順（未保存・利用不可の場合はnull）
+     */
+    readStoredSort() {
+        try {
+            const sort = localStorage.getItem(this.config.SORT_STORAGE_KEY);
+            return this.isSortOrder(sort) ? sort : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 並び順をlocalStorageに保存
+     * @private
+     * @param {string} sort - 並び順
+     * @returns {void}
+     */
+    saveSort(sort) {
+        try {
+            localStorage.setItem(this.config.SORT_STORAGE_KEY, sort);
+        } catch {
+            // localStorageが使えない場合は現在のページのみ有効
+        }
+    }
+
+    /**
+     * URLのクエリ文字列から絞り込み状態を読み込む
+     * 並び順はURL → localStorage → 既定の並び順の順に使用する
+     * @param {string} search - location.search
+     * @returns {void}
+     */
+    readFromUrl(search) {
+        const params = new URLSearchParams(search);
+        const { PARAMS } = this.config;
+
+        this.state = {
+            query: params.get(PARAMS.query) || '',
+            technologies: [...new Set(params.getAll(PARAMS.technologies).filter(Boolean))],
+            languages: [...new Set(params.getAll(PARAMS.languages).filter(Boolean))],
+            owner: params.get(PARAMS.owner) || null,
+            featuredOnly: params.get(PARAMS.featuredOnly) === '1',
+            sort: [params.get(PARAMS.sort), this.readStoredSort()].find(sort => this.isSortOrder(sort)) ||
+                this.config.DEFAULT_SORT
+        };
+    }
+
+    /**
+     * 絞り込み状態をURLのクエリ文字列に反映
+     * 絞り込みに関係しないパラメータ（?debug 等）とハッシュは維持する
+     * @param {string} href - 現在のURL
+     * @returns {string} 絞り込み状態を反映したURL
+     */
+    writeToUrl(href) {
+        const url = new URL(href);
+        const { PARAMS } = this.config;
+        const { query, technologies, languages, owner, featuredOnly, sort } = this.state;
+
+        Object.values(PARAMS).forEach(name => url.searchParams.delete(name));
+        if (query.trim()) url.searchParams.set(PARAMS.query, query.trim());
+        technologies.forEach(technology => url.searchParams.append(PARAMS.technologies, technology));
+        languages.forEach(language => url.searchParams.append(PARAMS.languages, language));
+        if (owner) url.searchParams.set(PARAMS.owner, owner);
+        if (featuredOnly) url.searchParams.set(PARAMS.featuredOnly, '1');
+        if (sort !== this.config.DEFAULT_SORT) url.searchParams.set(PARAMS.sort, sort);
+
+        return url.toString();
+    }
+}
+
+// グローバルインスタンス
+const projectFilter = new ProjectFilter();
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_FILTER_CONFIG,
+        ProjectFilter,
+        projectFilter
+    };
+}
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * プロジェクト表示の個別設定
+ * リポジトリ名をキーに、一覧での表示・非表示や表示内容を上書きする。
+ * 複数のユーザー・組織に同名のリポジトリがある場合は "owner/name" 形式のキーで区別できる。
+ * リポジトリのメタデータやJavaScriptのコードを変更せずにポートフォリオを調整できる。
+ *
+ * 設定できる項目（すべて省略可）:
+ *   hidden       {boolean}        true の場合は一覧に表示しない
+ *   pin          {number}         ピン留めの順位（1が最上位）。ランキングの pin 指標として上位に並ぶ
+ *   title        {string}         表示タイトル
+ *   description  {string}         説明文
+ *   technologies {Array<string>}  技術スタック
+ *   demoUrl      {string|null}    デモURL（null でデモなし）
+ *   image        {string}         プレビュー画像のURL
+ *   status       {string}         'wip' | 'completed' | 'archived'
+ *   featured     {boolean}        Featuredバッジの表示
+ */
+const PROJECT_OVERRIDES = {
+    // 例:
+    // 'purplehoge-portfolio': {
+    //     pin: 1,
+    //     title: 'Portfolio Site',
+    //     description: 'このポートフォリオサイト自体のリポジトリ',
+    //     featured: true
+    // },
+    // 'old-experiment': { hidden: true },
+    // 'team-org/old-experiment': { hidden: true },
+    // 'new-tool': { status: 'wip', technologies: ['TypeScript', 'React'] }
+};
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_OVERRIDES
+    };
+}
\ No newline at end of file
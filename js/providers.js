@@ -0,0 +1,422 @@
+/**
+ * リポジトリプロバイダーモジュール
+ * GitHub以外（GitLab、Gitea/Codeberg）のリポジトリも同じプロジェクト形式で取得し、
+ * 重複を除いて1つの一覧にまとめる
+ */
+
+// プロバイダー設定
+const PROVIDER_CONFIG = {
+    // 取得元の一覧。URLが同じリポジトリは上にあるプロバイダーのプロジェクトを残す（ミラーはミラー元に統合する）
+    PROVIDERS: [
+        { type: 'github' }
+        // { type: 'gitlab', baseUrl: 'https://gitlab.com', username: 'purplehoge' },
+        // { type: 'gitlab', baseUrl: 'https://gitlab.com', group: 'team-group' },
+        // { type: 'gitea', baseUrl: 'https://codeberg.org', username: 'purplehoge', label: 'Codeberg' },
+        // { type: 'gitea', id: 'team-gitea', baseUrl: 'https://git.example.com', org: 'team', label: 'Team Gitea' }
+    ],
+    MAX_PROJECTS: GITHUB_CONFIG.MAX_REPOS, // 統合後に一覧へ含める件数の上限
+    PER_PAGE: 50,
+    MAX_PAGES: 10
+};
+
+// プロバイダー種別ごとの表示名
+const PROVIDER_LABELS = {
+    github: 'GitHub',
+    gitlab: 'GitLab',
+    gitea: 'Gitea'
+};
+
+/**
+ * リポジトリプロバイダーの基底クラス
+ * fetchProjects() で processRepositories() と同じ形式のプロジェクト配列を返す
+ */
+class RepositoryProvider {
+    /**
+     * @param {Object} options - PROVIDER_CONFIG.PROVIDERS の1要素
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.type = options.type;
+        // プロジェクトIDの接頭辞（同じ種別を複数設定する場合は id で区別する）
+        this.id = options.id || options.type;
+        this.label = options.label || PROVIDER_LABELS[options.type] || options.type;
+        // 一覧として取得したページのURL（再試行時に永続キャッシュを期限切れにするため）
+        this.pageUrls = new Set();
+    }
+
+    /**
+     * プロジェクト一覧を取得
+     * @abstract
+     * @returns {Promise<Array>} プロジェクトデータの配列
+     */
+    async fetchProjects() {
+        throw new Error(`${this.type}: fetchProjects() が実装されていません`);
+    }
+
+    /**
+     * Linkヘッダーのページネーションを辿って全件取得
+     * GitHubApiClient と同じキャッシュ・再試行の経路を使用する
+     * @protected
+     * @param {string} firstUrl - 最初のページのURL
+     * @param {Object} headers - リクエストヘッダー
+     * @returns {Promise<Array>} 全ページの配列を連結したもの
+     */
+    async fetchAllPages(firstUrl, headers = { 'Accept': 'application/json' }) {
+        const items = [];
+        let nextUrl = firstUrl;
+        let pageCount = 0;
+
+        while (nextUrl && pageCount < PROVIDER_CONFIG.MAX_PAGES) {
+            this.pageUrls.add(nextUrl);
+            const { data, link } = await githubApi.requestJson(nextUrl, { headers, external: true });
+            items.push(...(Array.isArray(data) ? data : []));
+            nextUrl = githubApi.parseLinkHeader(link).next || null;
+            pageCount++;
+        }
+
+        return items;
+    }
+
+    /**
+     * GitHub互換の形に揃えたリポジトリをプロジェクトデータに変換
+     * @protected
+     * @param {Object} repo - GitHub互換のリポジトリデータ
+     * @param {Object} extra - プロバイダー固有の情報（title, image, isMirror）
+     * @returns {Object} プロジェクトデータ
+     */
+    toProject(repo, extra = {}) {
+        const project = githubApi.toProject(repo);
+        const imageSources = extra.image ? [extra.image] : [];
+
+        return githubApi.applyOverrides({
+            ...project,
+            // サブグループ等の同名のリポジトリと重複しないよう名前空間を含めたパスを使う
+            id: `${this.id}-${repo.full_name || `${repo.owner.login}/${repo.name}`}`,
+            source: this.type,
+            sourceLabel: this.label,
+            title: extra.title || project.title,
+            image: imageSources[0] || null,
+            imageSources,
+            isMirror: Boolean(extra.isMirror),
+            mirrors: []
+        });
+    }
+
+    /**
+     * 表示対象外のリポジトリを除外
+     * @protected
+     * @param {Object} repo - GitHub互換のリポジトリデータ
+     * @returns {boolean} 表示対象かどうか
+     */
+    isListed(repo) {
+        return !repo.fork &&
+            !githubApi.isExcludedRepo(repo.name) &&
+            !githubApi.isHiddenByOverride(repo.name);
+    }
+}
+
+/**
+ * GitHubプロバイダー（GitHubApiClient をそのまま利用）
+ */
+class GitHubProvider extends RepositoryProvider {
+    /**
+     * @returns {Promise<Array>} プロジェクトデータの配列
+     */
+    async fetchProjects() {
+        const projects = await githubApi.getRepositories();
+        return projects.map(project => ({
+            ...project,
+            source: 'github',
+            sourceLabel: this.label,
+            mirrors: []
+        }));
+    }
+}
+
+/**
+ * GitLabプロバイダー
+ * options: baseUrl, username または group
+ */
+class GitLabProvider extends RepositoryProvider {
+    /**
+     * @returns {Promise<Array>} プロジェクトデータの配列
+     */
+    async fetchProjects() {
+        const { baseUrl = 'https://gitlab.com', username, group } = this.options;
+        const params = new URLSearchParams({
+            per_page: PROVIDER_CONFIG.PER_PAGE,
+            order_by: 'last_activity_at',
+            visibility: 'public'
+        });
+
+        const path = group ?
+            `groups/${encodeURIComponent(group)}/projects` :
+            `users/${encodeURIComponent(username)}/projects`;
+        if (group) {
+            params.set('include_subgroups', 'true');
+        }
+
+        const projects = await this.fetchAllPages(`${baseUrl.replace(/\/$/, '')}/api/v4/${path}?${params}`);
+
+        return projects
+            .map(project => ({ project, repo: this.normalize(project) }))
+            .filter(({ repo }) => this.isListed(repo))
+            .map(({ project, repo }) => this.toProject(repo, {
+                title: project.name,
+                image: project.avatar_url,
+                isMirror: Boolean(project.mirror)
+            }));
+    }
+
+    /**
+     * GitLabのプロジェクトをGitHub互換の形に変換
+     * @private
+     * @param {Object} project - GitLab APIのプロジェクト
+     * @returns {Object} GitHub互換のリポジトリデータ
+     */
+    normalize(project) {
+        return {
+            name: project.path,
+            full_name: project.path_with_namespace,
+            description: project.description,
+            html_url: project.web_url,
+            homepage: null,
+            has_pages: false,
+            stargazers_count: project.star_count || 0,
+            language: null, // 一覧APIには含まれない
+            topics: project.topics || project.tag_list || [],
+            updated_at: project.last_activity_at,
+            pushed_at: project.last_activity_at,
+            created_at: project.created_at,
+            fork: Boolean(project.forked_from_project),
+            mirror_url: project.mirror ? project.import_url || null : null,
+            default_branch: project.default_branch,
+            owner: { login: project.namespace ? project.namespace.full_path : this.options.username }
+        };
+    }
+}
+
+/**
+ * Gitea/Forgejo（Codeberg含む）プロバイダー
+ * options: baseUrl, username または org
+ */
+class GiteaProvider extends RepositoryProvider {
+    /**
+     * @returns {Promise<Array>} プロジェクトデータの配列
+     */
+    async fetchProjects() {
+        const { baseUrl = 'https://codeberg.org', username, org } = this.options;
+        const params = new URLSearchParams({ limit: PROVIDER_CONFIG.PER_PAGE });
+
+        const path = org ?
+            `orgs/${encodeURIComponent(org)}/repos` :
+            `users/${encodeURIComponent(username)}/repos`;
+
+        const repos = await this.fetchAllPages(`${baseUrl.replace(/\/$/, '')}/api/v1/${path}?${params}`);
+
+        return repos
+            .filter(repo => !repo.private)
+            .map(repo => ({ raw: repo, repo: this.normalize(repo) }))
+            .filter(({ repo }) => this.isListed(repo))
+            .map(({ raw, repo }) => this.toProject(repo, {
+                image: raw.avatar_url || null,
+                isMirror: Boolean(raw.mirror)
+            }));
+    }
+
+    /**
+     * GiteaのリポジトリをGitHub互換の形に変換
+     * @private
+     * @param {Object} repo - Gitea APIのリポジトリ
+     * @returns {Object} GitHub互換のリポジトリデータ
+     */
+    normalize(repo) {
+        return {
+            name: repo.name,
+            full_name: repo.full_name,
+            description: repo.description,
+            html_url: repo.html_url,
+            homepage: repo.website || null,
+            has_pages: false,
+            stargazers_count: repo.stars_count || 0,
+            language: repo.language || null,
+            topics: repo.topics || [],
+            updated_at: repo.updated_at,
+            created_at: repo.created_at,
+            fork: Boolean(repo.fork),
+            mirror_url: repo.mirror ? repo.original_url || null : null,
+            default_branch: repo.default_branch,
+            owner: { login: repo.owner ? repo.owner.login : this.options.username }
+        };
+    }
+}
+
+// プロバイダー種別とクラスの対応
+const PROVIDER_CLASSES = {
+    github: GitHubProvider,
+    gitlab: GitLabProvider,
+    gitea: GiteaProvider
+};
+
+/**
+ * 複数プロバイダーの取得結果を統合するクラス
+ */
+class RepositoryAggregator {
+    /**
+     * @param {Array<Object>} providerConfigs - プロバイダー設定の配列
+     */
+    constructor(providerConfigs = PROVIDER_CONFIG.PROVIDERS) {
+        // 直近の取得で失敗したプロバイダーの表示名
+        this.failedProviders = [];
+        this.providers = providerConfigs
+            .map(options => {
+                const ProviderClass = PROVIDER_CLASSES[options.type];
+                if (!ProviderClass) {
+                    logger.warn('api', `未対応のプロバイダーです: ${options.type}`);
+                    return null;
+                }
+                return new ProviderClass(options);
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * 全プロバイダーからプロジェクトを取得して統合
+     * 一部のプロバイダーが失敗しても、取得できた分を返す
+     * @returns {Promise<Array>} 重複除去・並び替え済みのプロジェクト
+     */
+    async getProjects() {
+        const results = await Promise.allSettled(
+            this.providers.map(provider => provider.fetchProjects())
+        );
+
+        this.failedProviders = [];
+        const lists = results.map((result, index) => {
+            if (result.status === 'fulfilled') return result.value;
+
+            ErrorHandler.log(result.reason, `${this.providers[index].label} プロジェクト取得`, 'api');
+            this.failedProviders.push(this.providers[index].label);
+            return [];
+        });
+
+        return this.mergeProjects(lists)
+            .sort((a, b) => projectRanker.compare(a, b))
+            .slice(0, PROVIDER_CONFIG.MAX_PROJECTS);
+    }
+
+    /**
+     * 全プロバイダーの一覧のキャッシュを破棄（再試行時に再取得させるため）
+     * @returns {void}
+     */
+    clearCache() {
+        const urls = this.providers.flatMap(provider => [...provider.pageUrls]);
+        this.providers.forEach(provider => provider.pageUrls.clear());
+        githubApi.clearRepositoryCache(urls);
+    }
+
+    /**
+     * 直近の取得で失敗したプロバイダーを取得
+     * @returns {Array<string>} プロバイダーの表示名
+     */
+    getFailedProviders() {
+        return [...this.failedProviders];
+    }
+
+    /**
+     * プロバイダーごとの一覧を統合し、別プラットフォーム間の重複（ミラー）を除去
+     * URLが一致する場合と、一方のミラー元のURLがもう一方を指す場合のみ同じリポジトリとみなす。
+     * URLが一致する場合は先に設定されたプロバイダー、ミラーの場合はミラー元を残す
+     * @private
+     * @param {Array<Array>} lists - プロバイダー順のプロジェクト配列
+     * @returns {Array} 統合したプロジェクト
+     */
+    mergeProjects(lists) {
+        const merged = [];
+
+        lists.forEach(projects => {
+            projects.forEach(project => {
+                const index = merged.findIndex(existing => this.isSameRepository(existing, project));
+                if (index === -1) {
+                    merged.push(project);
+                    return;
+                }
+
+                const existing = merged[index];
+                const keepIncoming = this.isMirrorOf(existing, project);
+                const primary = keepIncoming ? project : existing;
+                const mirror = keepIncoming ? existing : project;
+
+                // 同じURLの場合はミラーとして表示しない
+                const isLinkedMirror = this.isMirrorOf(mirror, primary);
+                primary.mirrors = [
+                    ...(primary.mirrors || []),
+                    ...(isLinkedMirror ? [{ source: mirror.source, sourceLabel: mirror.sourceLabel, url: mirror.sourceUrl }] : []),
+                    ...(mirror.mirrors || [])
+                ];
+                primary.githubData = {
+                    ...primary.githubData,
+                    stars: Math.max(primary.githubData.stars || 0, mirror.githubData.stars || 0)
+                };
+
+                merged[index] = primary;
+            });
+        });
+
+        return merged;
+    }
+
+    /**
+     * 同じリポジトリ（URLが一致する、またはミラーの関係にある）かどうか
+     * @private
+     * @param {Object} a - プロジェクトデータ
+     * @param {Object} b - プロジェクトデータ
+     * @returns {boolean} 同じリポジトリかどうか
+     */
+    isSameRepository(a, b) {
+        return (Boolean(a.sourceUrl) && this.normalizeUrl(a.sourceUrl) === this.normalizeUrl(b.sourceUrl)) ||
+            this.isMirrorOf(a, b) ||
+            this.isMirrorOf(b, a);
+    }
+
+    /**
+     * mirror のミラー元が original かどうか
+     * @private
+     * @param {Object} mirror - ミラーの候補
+     * @param {Object} original - ミラー元の候補
+     * @returns {boolean} ミラーの関係にあるかどうか
+     */
+    isMirrorOf(mirror, original) {
+        return Boolean(mirror.mirrorUrl && original.sourceUrl) && this.normalizeUrl(mirror.mirrorUrl) === this.normalizeUrl(original.sourceUrl);
+    }
+
+    /**
+     * 比較用にリポジトリのURLを正規化（スキーム・認証情報・末尾の .git と / を除き、小文字にする）
+     * @private
+     * @param {string} url - リポジトリのURL
+     * @returns {string} 正規化したURL
+     */
+    normalizeUrl(url) {
+        return String(url || '')
+            .toLowerCase()
+            .replace(/^[a-z+]+:\/\//, '')
+            .replace(/^[^@/]+@/, '')
+            .replace(/\.git\/?$/, '')
+            .replace(/\/+$/, '');
+    }
+}
+
+// グローバルインスタンス
+const repositoryProviders = new RepositoryAggregator();
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROVIDER_CONFIG,
+        RepositoryProvider,
+        GitHubProvider,
+        GitLabProvider,
+        GiteaProvider,
+        RepositoryAggregator,
+        repositoryProviders
+    };
+}
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * プロジェクトの並び順（ランキング）モジュール
+ * 重み付きの指標を合計したスコアでプロジェクトを並べる。
+ * 並び順の調整は比較関数ではなく RANKING_CONFIG.WEIGHTS の変更で行う。
+ */
+
+// ランキング設定
+const RANKING_CONFIG = {
+    // 指標ごとの重み（各指標は0〜1に正規化され、重みを掛けて合計する）
+    WEIGHTS: {
+        pin: 100,     // 手動のピン留め（個別設定の pin・プロフィールのピン留め）
+        stars: 3,     // スター数
+        recency: 2,   // 最終プッシュからの経過日数
+        demo: 2,      // 検証済みのデモがあるか
+        readme: 1,    // READMEがあるか
+        topics: 1     // トピックの設定数
+    },
+    STARS_SATURATION: 1000,      // このスター数で満点（対数スケール）
+    RECENCY_HALF_LIFE_DAYS: 180, // 経過日数によるスコアの半減期
+    TOPICS_SATURATION: 5,        // このトピック数で満点
+    PIN_SLOTS: 10,               // ピン留め順位をスコアに換算する際の段階数
+    UNKNOWN_SIGNAL: 0.5,         // 未取得の指標（デモ未検証・README未確認）のスコア
+    DEBUG_PARAM: 'debug-ranking' // URLにこのパラメータを付けるとスコアの内訳を表示
+};
+
+/**
+ * プロジェクトランキングクラス
+ */
+class ProjectRanker {
+    /**
+     * @param {Object} config - ランキング設定
+     */
+    constructor(config = RANKING_CONFIG) {
+        this.config = config;
+    }
+
+    /**
+     * プロジェクトのスコアを計算
+     * @param {Object} project - プロジェクトデータ
+     * @returns {{total: number, components: Object<string, {signal: number, weight: number, score: number}>}} 合計スコアと内訳
+     */
+    score(project) {
+        const signals = this.getSignals(project);
+        const components = {};
+        let total = 0;
+
+        Object.entries(this.config.WEIGHTS).forEach(([name, weight]) => {
+            const signal = signals[name] || 0;
+            const score = signal * weight;
+            components[name] = { signal, weight, score };
+            total += score;
+        });
+
+        return { total, components };
+    }
+
+    /**
+     * 並び順の比較（スコアの高い順、同点はスター数・名前の順）
+     * @param {Object} a - プロジェクトデータ
+     * @param {Object} b - プロジェクトデータ
+     * @returns {number} 並び替えの比較結果
+     */
+    compare(a, b) {
+        const diff = this.score(b).total - this.score(a).total;
+        if (diff !== 0) return diff;
+
+        const starDiff = this.getStars(b) - this.getStars(a);
+        if (starDiff !== 0) return starDiff;
+
+        return String(a.title).localeCompare(String(b.title));
+    }
+
+    /**
+     * スコアの高い順に並べた新しい配列を返す
+     * @param {Array} projects - プロジェクトデータの配列
+     * @returns {Array} 並び替えたプロジェクト
+     */
+    rank(projects) {
+        return [...projects].sort((a, b) => this.compare(a, b));
+    }
+
+    /**
+     * 各指標を0〜1に正規化して取得
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {Object<string, number>} 指標名と値
+     */
+    getSignals(project) {
+        const githubData = project.githubData || {};
+
+        return {
+            pin: this.getPinSignal(project),
+            stars: Math.min(1, Math.log10(this.getStars(project) + 1) / Math.log10(this.config.STARS_SATURATION + 1)),
+            recency: this.getRecencySignal(githubData.pushedAt || githubData.updatedAt),
+            demo: this.getDemoSignal(project.demoStatus),
+            readme: typeof githubData.hasReadme === 'boolean' ?
+                Number(githubData.hasReadme) :
+                this.config.UNKNOWN_SIGNAL,
+            topics: Math.min(1, (githubData.topics || []).length / this.config.TOPICS_SATURATION)
+        };
+    }
+
+    /**
+     * ピン留めの指標（個別設定の pin を優先し、次にプロフィールのピン留め順）
+     * 上位のピン留めほど1に近い
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {number} 0〜1の値（ピン留めなしは0）
+     */
+    getPinSignal(project) {
+        const slots = this.config.PIN_SLOTS;
+        let position = null;
+
+        if (typeof project.pin === 'number') {
+            position = Math.max(0, project.pin - 1);
+        } else if (typeof project.pinnedRank === 'number') {
+            // 個別設定のピン留めより後ろに並ぶよう、プロフィールのピン留めは下位の段階に割り当てる
+            position = Math.min(slots - 1, Math.floor(slots / 2) + project.pinnedRank);
+        }
+
+        if (position === null) return 0;
+        return Math.max(1 / slots, 1 - position / slots);
+    }
+
+    /**
+     * 最終プッシュからの経過日数の指標（半減期で減衰）
+     * @private
+     * @param {Date|string} date - 最終プッシュ日時
+     * @returns {number} 0〜1の値
+     */
+    getRecencySignal(date) {
+        const time = date ? new Date(date).getTime() : NaN;
+        if (Number.isNaN(time)) return 0;
+
+        const ageDays = Math.max(0, (Date.now() - time) / 86400000);
+        return Math.pow(0.5, ageDays / this.config.RECENCY_HALF_LIFE_DAYS);
+    }
+
+    /**
+     * デモの指標
+     * @private
+     * @param {string} demoStatus - 'verified' | 'unverified' | 'unavailable'
+     * @returns {number} 0〜1の値
+     */
+    getDemoSignal(demoStatus) {
+        if (demoStatus === 'verified') return 1;
+        if (demoStatus === 'unverified') return this.config.UNKNOWN_SIGNAL;
+        return 0;
+    }
+
+    /**
+     * スター数を取得
+     * @private
+     * @param {Object} project - プロジェクトデータ
+     * @returns {number} スター数
+     */
+    getStars(project) {
+        return project.githubData ? project.githubData.stars || 0 : 0;
+    }
+}
+
+// グローバルインスタンス
+const projectRanker = new ProjectRanker();
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RANKING_CONFIG,
+        ProjectRanker,
+        projectRanker
+    };
+}
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * クライアントルーターモジュール
+ * #/projects/{repo}（hashモード）または /projects/{repo}（historyモード）のURLを解決し、
+ * 登録したハンドラーを呼び出す。ルートの表示中に戻る・進むを行った際は遷移前のスクロール位置を復元する。
+ */
+
+// ルーター設定
+const ROUTER_CONFIG = {
+    // 'hash': #/projects/{repo}（静的ホスティング向け）
+    // 'history': /projects/{repo}（サーバー側で index.html を返すフォールバック設定が必要）
+    MODE: 'hash',
+    BASE_PATH: '' // historyモードでサイトを配置しているパス（例: '/portfolio'）
+};
+
+/**
+ * クライアントルータークラス
+ * 使い方: router.add('/projects/:repo', params => ...); router.start();
+ */
+class Router {
+    /**
+     * @param {Object} config - ルーター設定
+     */
+    constructor(config = ROUTER_CONFIG) {
+        this.config = config;
+        // 登録順に照合するルート
+        this.routes = [];
+        // どのルートにも一致しない場合のハンドラー
+        this.notFoundHandler = null;
+        // 最後に解決したパス（popstate・hashchangeの重複通知を無視するため）
+        this.currentPath = null;
+        this.isStarted = false;
+    }
+
+    /**
+     * ルートを登録
+     * @param {string} pattern - パス（':name' の部分をパラメータとして受け取る）
+     * @param {Function} handler - (params, path) => void
+     * @returns {Router} メソッドチェーン用
+     */
+    add(pattern, handler) {
+        const names = [];
+        const source = pattern
+            .split('/')
+            .map(segment => {
+                if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                names.push(segment.slice(1));
+                return '([^/]+)';
+            })
+            .join('/');
+
+        this.routes.push({ pattern: new RegExp(`^${source}/?$`), names, handler });
+        return this;
+    }
+
+    /**
+     * どのルートにも一致しない場合のハンドラーを登録
+     * @param {Function} handler - (path) => void
+     * @returns {Router} メソッドチェーン用
+     */
+    setNotFound(handler) {
+        this.notFoundHandler = handler;
+        return this;
+    }
+
+    /**
+     * 現在のURLを解決し、戻る・進む・URLの直接変更の監視を開始
+     * @returns {void}
+     */
+    start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+        if (this.config.MODE === 'hash') {
+            window.addEventListener('hashchange', () => this.resolve());
+        }
+
+        this.resolve();
+    }
+
+    /**
+     * 指定したパスに遷移
+     * @param {string} path - 遷移先のパス（例: '/projects/portfolio'）
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.replace] - 履歴を追加せずに置き換えるか
+     * @returns {void}
+     */
+    navigate(path, { replace = false } = {}) {
+        if (path === this.getPath()) return;
+
+        // 戻った際に復元できるよう、遷移前のスクロール位置を現在の履歴に保存する
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+
+        const url = this.buildHref(path);
+        if (replace) {
+            history.replaceState({ path }, '', url);
+        } else {
+            history.pushState({ path }, '', url);
+        }
+
+        this.resolve();
+    }
+
+    /**
+     * パスに対応するリンク先（href属性）を生成
+     * 絞り込み等のクエリ文字列は維持する
+     * @param {string} path - パス
+     * @returns {string} リンク先
+     */
+    buildHref(path) {
+        const { search } = window.location;
+
+        if (this.config.MODE === 'hash') {
+            return path === '/' ? `${window.location.pathname}${search}` : `${search}#${path}`;
+        }
+
+        return `${this.config.BASE_PATH}${path}${search}`;
+    }
+
+    /**
+     * 現在のURLのパスを取得
+     * hashモードでは '#/' で始まらないハッシュ（セクションへのアンカー）はトップページとして扱う
+     * @returns {string} パス
+     */
+    getPath() {
+        if (this.config.MODE === 'hash') {
+            const { hash } = window.location;
+            return hash.startsWith('#/') ? hash.slice(1) : '/';
+        }
+
+        const { pathname } = window.location;
+        const path = pathname.startsWith(this.config.BASE_PATH) ?
+            pathname.slice(this.config.BASE_PATH.length) :
+            pathname;
+        // index.html を直接開いた場合はトップページとして扱う
+        return !path || path === '/index.html' ? '/' : path;
+    }
+
+    /**
+     * 現在のURLに一致するルートのハンドラーを呼び出す
+     * @returns {boolean} ルートを解決したか（同じパスの場合はfalse）
+     */
+    resolve() {
+        const path = this.getPath();
+        if (path === this.currentPath) return false;
+        this.currentPath = path;
+        this.updateScrollRestoration(path);
+
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (!match) continue;
+
+            const params = {};
+            route.names.forEach((name, index) => {
+                params[name] = this.decode(match[index + 1]);
+            });
+
+            logger.debug('app', `ルート: ${path}`, params);
+            route.handler(params, path);
+            return true;
+        }
+
+        logger.debug('app', `ルートが見つかりません: ${path}`);
+        if (this.notFoundHandler) {
+            this.notFoundHandler(path);
+        }
+        return true;
+    }
+
+    /**
+     * 現在の履歴のスクロール復元方法を設定
+     * ルートの表示中の履歴のみ手動（表示後に handlePopState() で復元）とし、
+     * トップページの履歴（再読み込み・セクションへのアンカー）はブラウザの復元に任せる
+     * @private
+     * @param {string} path - 解決したパス
+     * @returns {void}
+     */
+    updateScrollRestoration(path) {
+        if (!('scrollRestoration' in history)) return;
+        history.scrollRestoration = path === '/' ? 'auto' : 'manual';
+    }
+
+    /**
+     * 戻る・進むの処理
+     * @private
+     * @param {PopStateEvent} e - popstateイベント
+     * @returns {void}
+     */
+    handlePopState(e) {
+        if (!this.resolve()) return;
+
+        const scrollY = e.state && typeof e.state.scrollY === 'number' ? e.state.scrollY : null;
+        if (scrollY !== null) {
+            // ルートの表示を反映してから復元する
+            requestAnimationFrame(() => window.scrollTo(0, scrollY));
+        }
+    }
+
+    /**
+     * URLのパラメータをデコード（不正なエスケープはそのまま返す）
+     * @private
+     * @param {string} value - パラメータ
+     * @returns {string} デコードした値
+     */
+    decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch {
+            return value;
+        }
+    }
+}
+
+// グローバルインスタンス
+const router = new Router();
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROUTER_CONFIG,
+        Router,
+        router
+    };
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ * 技術タクソノミーモジュール
+ * 技術名の正式名称・別名・分類・アイコンを一元管理する。
+ * プロジェクトの技術スタック表示とSkillsセクションで同じ名称を使うために参照する。
+ */
+
+// 技術の分類と表示名
+const TECHNOLOGY_CATEGORIES = {
+    language: '言語',
+    framework: 'フレームワーク',
+    tool: 'ツール',
+    platform: 'プラットフォーム'
+};
+
+// 技術の定義
+// aliases はGitHubのトピック・言語名と完全一致で照合する（正式名称は自動的に別名に含まれる）
+const TECHNOLOGIES = [
+    // 言語
+    { name: 'JavaScript', category: 'language', icon: '⚡', aliases: ['js', 'es6', 'es2015', 'ecmascript', 'vanilla-js', 'vanilla-javascript'] },
+    { name: 'TypeScript', category: 'language', icon: '🔷', aliases: ['ts'] },
+    { name: 'HTML', category: 'language', icon: '🌐', aliases: ['html5'] },
+    { name: 'CSS', category: 'language', icon: '🎨', aliases: ['css3'] },
+    { name: 'SCSS', category: 'language', icon: '🎨', aliases: ['sass'] },
+    { name: 'Python', category: 'language', icon: '🐍', aliases: ['python3', 'py'] },
+    { name: 'Java', category: 'language', icon: '☕', aliases: [] },
+    { name: 'Go', category: 'language', icon: '🐹', aliases: ['golang'] },
+    { name: 'Rust', category: 'language', icon: '🦀', aliases: ['rust-lang'] },
+    { name: 'Ruby', category: 'language', icon: '💎', aliases: [] },
+    { name: 'PHP', category: 'language', icon: '🐘', aliases: [] },
+    { name: 'C', category: 'language', icon: '🔤', aliases: [] },
+    { name: 'C++', category: 'language', icon: '🔤', aliases: ['cpp', 'c-plus-plus'] },
+    { name: 'C#', category: 'language', icon: '🔤', aliases: ['csharp', 'c-sharp'] },
+    { name: 'Kotlin', category: 'language', icon: '🟪', aliases: [] },
+    { name: 'Swift', category: 'language', icon: '🕊️', aliases: [] },
+    { name: 'Dart', category: 'language', icon: '🎯', aliases: [] },
+    { name: 'Shell', category: 'language', icon: '💲', aliases: ['bash', 'zsh', 'shell-script'] },
+    { name: 'SQL', category: 'language', icon: '🗃️', aliases: [] },
+
+    // フレームワーク・ライブラリ
+    { name: 'React', category: 'framework', icon: '⚛️', aliases: ['reactjs', 'react-js'] },
+    { name: 'Vue.js', category: 'framework', icon: '🟩', aliases: ['vue', 'vuejs', 'vue-js', 'vue3'] },
+    { name: 'Angular', category: 'framework', icon: '🅰️', aliases: ['angularjs'] },
+    { name: 'Svelte', category: 'framework', icon: '🔥', aliases: ['sveltejs'] },
+    { name: 'Next.js', category: 'framework', icon: '▲', aliases: ['nextjs', 'next-js'] },
+    { name: 'Nuxt', category: 'framework', icon: '⛰️', aliases: ['nuxtjs', 'nuxt-js'] },
+    { name: 'Express', category: 'framework', icon: '🚂', aliases: ['expressjs', 'express-js'] },
+    { name: 'Flask', category: 'framework', icon: '🧪', aliases: [] },
+    { name: 'Django', category: 'framework', icon: '🎸', aliases: [] },
+    { name: 'Tailwind CSS', category: 'framework', icon: '🌊', aliases: ['tailwind', 'tailwindcss'] },
+    { name: 'Bootstrap', category: 'framework', icon: '🅱️', aliases: [] },
+    { name: 'jQuery', category: 'framework', icon: '💲', aliases: [] },
+    { name: 'Three.js', category: 'framework', icon: '🧊', aliases: ['threejs', 'three-js'] },
+
+    // ツール
+    { name: 'Git', category: 'tool', icon: '📱', aliases: [] },
+    { name: 'Docker', category: 'tool', icon: '🐳', aliases: ['dockerfile'] },
+    { name: 'VS Code', category: 'tool', icon: '🔧', aliases: ['vscode', 'visual-studio-code', 'vscode-extension'] },
+    { name: 'Webpack', category: 'tool', icon: '📦', aliases: [] },
+    { name: 'Vite', category: 'tool', icon: '⚡', aliases: ['vitejs'] },
+    { name: 'ESLint', category: 'tool', icon: '🧹', aliases: [] },
+    { name: 'Jest', category: 'tool', icon: '🃏', aliases: [] },
+    { name: 'Web Performance', category: 'tool', icon: '🚀', aliases: ['web-performance', 'performance', 'core-web-vitals', 'lighthouse'] },
+
+    // プラットフォーム・実行環境・データベース
+    { name: 'Node.js', category: 'platform', icon: '🟢', aliases: ['node', 'nodejs', 'node-js'] },
+    { name: 'Deno', category: 'platform', icon: '🦕', aliases: [] },
+    { name: 'GitHub Pages', category: 'platform', icon: '📄', aliases: ['github-pages', 'gh-pages'] },
+    { name: 'GitHub Actions', category: 'platform', icon: '⚙️', aliases: ['github-actions'] },
+    { name: 'Vercel', category: 'platform', icon: '▲', aliases: [] },
+    { name: 'Netlify', category: 'platform', icon: '🌐', aliases: [] },
+    { name: 'Firebase', category: 'platform', icon: '🔥', aliases: [] },
+    { name: 'AWS', category: 'platform', icon: '☁️', aliases: ['amazon-web-services'] },
+    { name: 'MongoDB', category: 'platform', icon: '🍃', aliases: ['mongo'] },
+    { name: 'MySQL', category: 'platform', icon: '🐬', aliases: [] },
+    { name: 'PostgreSQL', category: 'platform', icon: '🐘', aliases: ['postgres'] },
+    { name: 'SQLite', category: 'platform', icon: '🪶', aliases: ['sqlite3'] }
+];
+
+/**
+ * 技術タクソノミークラス
+ * 別名は大文字小文字のみ区別せずに完全一致で照合する（部分一致はしない）
+ */
+class TechnologyTaxonomy {
+    /**
+     * @param {Array<Object>} technologies - 技術の定義
+     */
+    constructor(technologies = TECHNOLOGIES) {
+        this.technologies = technologies;
+        // 別名（小文字）から技術定義への対応表
+        this.aliasMap = new Map();
+
+        technologies.forEach(technology => {
+            [technology.name, ...(technology.aliases || [])].forEach(alias => {
+                const key = this.toKey(alias);
+                if (this.aliasMap.has(key)) {
+                    logger.warn('app', `技術タクソノミー: 別名が重複しています (${alias})`);
+                    return;
+                }
+                this.aliasMap.set(key, technology);
+            });
+        });
+    }
+
+    /**
+     * 技術名・別名から技術定義を取得
+     * @param {string} nameOrAlias - 技術名・トピック・言語名
+     * @returns {Object|null} 技術定義（name, category, icon, aliases）またはnull
+     */
+    find(nameOrAlias) {
+        if (!nameOrAlias) return null;
+        return this.aliasMap.get(this.toKey(nameOrAlias)) || null;
+    }
+
+    /**
+     * 技術名を正式名称に正規化
+     * @param {string} nameOrAlias - 技術名・トピック・言語名
+     * @returns {string} 正式名称（未登録の場合は元の名前）
+     */
+    normalize(nameOrAlias) {
+        const technology = this.find(nameOrAlias);
+        return technology ? technology.name : String(nameOrAlias).trim();
+    }
+
+    /**
+     * 技術名の配列を正式名称に正規化し、重複を除く
+     * @param {Array<string>} names - 技術名の配列
+     * @returns {Array<string>} 正式名称の配列（元の順序を維持）
+     */
+    normalizeAll(names) {
+        return [...new Set(names.map(name => this.normalize(name)))];
+    }
+
+    /**
+     * 技術の分類を取得
+     * @param {string} nameOrAlias - 技術名
+     * @returns {string|null} 分類（language | framework | tool | platform）
+     */
+    getCategory(nameOrAlias) {
+        const technology = this.find(nameOrAlias);
+        return technology ? technology.category : null;
+    }
+
+    /**
+     * 照合用のキーに変換
+     * @private
+     * @param {string} value - 技術名・別名
+     * @returns {string} 小文字に揃えたキー
+     */
+    toKey(value) {
+        return String(value).trim().toLowerCase();
+    }
+}
+
+// グローバルインスタンス
+const technologyTaxonomy = new TechnologyTaxonomy();
+
+// モジュールエクスポート（ES6モジュール使用時）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TECHNOLOGY_CATEGORIES,
+        TECHNOLOGIES,
+        TechnologyTaxonomy,
+        technologyTaxonomy
+    };
+}
\ No newline at end of file
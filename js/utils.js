@@ -12,7 +12,7 @@ const safeQuerySelector = (selector) => {
     try {
         return document.querySelector(selector);
     } catch (error) {
-        console.warn(`無効なセレクター: ${selector}`, error);
+        logger.warn('render', `無効なセレクター: ${selector}`, error);
         return null;
     }
 };
@@ -26,7 +26,7 @@ const safeQuerySelectorAll = (selector) => {
     try {
         return document.querySelectorAll(selector);
     } catch (error) {
-        console.warn(`無効なセレクター: ${selector}`, error);
+        logger.warn('render', `無効なセレクター: ${selector}`, error);
         return document.querySelectorAll(''); // 空のNodeListを返す
     }
 };
@@ -87,43 +87,59 @@ const smoothScrollTo = (targetId, offset = 80) => {
 
 /**
  * 画像の遅延読み込み
- * @param {string} imageSrc - 画像のソースURL
+ * 候補を配列で渡した場合は先頭から順に試し、すべて失敗したらフォールバック画像を表示する
+ * @param {string|Array<string>} imageSrc - 画像のソースURL（または優先順の候補）
  * @param {Element} targetElement - 対象のDOM要素
  * @param {string} fallbackSrc - フォールバック画像のURL
  * @returns {Promise<void>}
  */
 const lazyLoadImage = async (imageSrc, targetElement, fallbackSrc = 'images/placeholder.svg') => {
     if (!targetElement) {
-        console.warn('画像読み込み対象の要素が見つかりません');
+        logger.warn('render', '画像読み込み対象の要素が見つかりません');
         return;
     }
 
-    try {
+    const sources = (Array.isArray(imageSrc) ? imageSrc : [imageSrc]).filter(Boolean);
+
+    // 全候補が失敗した場合
+    const useFallback = () => {
+        targetElement.src = fallbackSrc;
+        safeAddClass(targetElement, 'error');
+        safeRemoveClass(targetElement, 'loading');
+    };
+
+    const tryLoad = (index) => {
+        if (index >= sources.length) {
+            useFallback();
+            return;
+        }
+
         const img = new Image();
         
         // 読み込み成功時
         img.onload = () => {
-            targetElement.src = imageSrc;
+            targetElement.src = sources[index];
             safeAddClass(targetElement, 'loaded');
             safeRemoveClass(targetElement, 'loading');
         };
         
-        // 読み込み失敗時
+        // 読み込み失敗時は次の候補へ
         img.onerror = () => {
-            targetElement.src = fallbackSrc;
-            safeAddClass(targetElement, 'error');
-            safeRemoveClass(targetElement, 'loading');
-            console.warn(`画像の読み込みに失敗: ${imageSrc}`);
+            logger.warn('render', `画像の読み込みに失敗: ${sources[index]}`);
+            tryLoad(index + 1);
         };
         
+        img.src = sources[index];
+    };
+
+    try {
         // 読み込み開始
         safeAddClass(targetElement, 'loading');
-        img.src = imageSrc;
+        tryLoad(0);
         
     } catch (error) {
-        console.error('画像読み込みエラー:', error);
-        targetElement.src = fallbackSrc;
-        safeAddClass(targetElement, 'error');
+        logger.error('render', '画像読み込みエラー:', error);
+        useFallback();
     }
 };
 
@@ -164,6 +180,15 @@ const throttle = (func, limit) => {
     };
 };
 
+/**
+ * 新しいタブ・ウィンドウで開く操作（修飾キー付き・中クリック）かどうか
+ * @param {MouseEvent} e - クリックイベント
+ * @returns {boolean} ブラウザの既定動作に任せるべきかどうか
+ */
+const isModifiedClick = (e) => {
+    return e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey;
+};
+
 /**
  * 要素が画面内に表示されているかチェック
  * @param {Element} element - チェック対象の要素
@@ -325,11 +350,12 @@ const ErrorHandler = {
      * エラーを安全にログ出力
      * @param {Error} error - エラーオブジェクト
      * @param {string} context - エラーの文脈
+     * @param {string} [namespace] - ロガーの名前空間（api | app | render）
      * @returns {void}
      */
-    log(error, context = '') {
+    log(error, context = '', namespace = 'app') {
         const message = context ? `[${context}] ${error.message}` : error.message;
-        console.error(message, error);
+        logger.error(namespace, message, error);
     },
     
     /**
@@ -360,6 +386,7 @@ if (typeof module !== 'undefined' && module.exports) {
         lazyLoadImage,
         debounce,
         throttle,
+        isModifiedClick,
         isInViewport,
         escapeHtml,
         isEmpty,
@@ -0,0 +1,78 @@
+/**
+ * プロジェクトデータのスナップショット生成スクリプト
+ * GitHubApiClient の加工処理をそのまま使い、data/projects.snapshot.json を出力する。
+ * 出力したファイルはサイトの初回表示とAPI障害時のフォールバックに使用される。
+ *
+ * 使い方（Node.js 18以上）:
+ *   node scripts/build-snapshot.js            # デモ検証・言語構成・リリースも含めて生成
+ *   node scripts/build-snapshot.js --basic    # リポジトリ一覧のみで生成（API呼び出しを節約）
+ *
+ * 環境変数 GITHUB_TOKEN を指定するとプロフィールのピン留めリポジトリを反映する。
+ * 環境変数 GITHUB_API_BASE_URL でAPIの接続先をローカルプロキシ（scripts/github-proxy.js）等に変更できる。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ブラウザではグローバルに読み込まれる依存を用意
+global.logger = require('../js/logger.js').logger;
+const { ErrorHandler } = require('../js/utils.js');
+global.ErrorHandler = ErrorHandler;
+global.ApiCacheStore = require('../js/api-cache.js').ApiCacheStore;
+global.technologyTaxonomy = require('../js/technologies.js').technologyTaxonomy;
+global.RANKING_CONFIG = require('../js/ranking.js').RANKING_CONFIG;
+global.projectRanker = require('../js/ranking.js').projectRanker;
+global.PROJECT_OVERRIDES = require('../js/project-overrides.js').PROJECT_OVERRIDES;
+
+const { githubApi, GITHUB_CONFIG } = require('../js/github-api.js');
+
+// トークンはスナップショット生成時のみ使用し、出力には含めない
+if (process.env.GITHUB_TOKEN) {
+    GITHUB_CONFIG.GRAPHQL_TOKEN = process.env.GITHUB_TOKEN;
+}
+if (process.env.GITHUB_API_BASE_URL) {
+    GITHUB_CONFIG.API_BASE_URL = process.env.GITHUB_API_BASE_URL.replace(/\/$/, '');
+}
+
+const OUTPUT_PATH = path.join(__dirname, '..', GITHUB_CONFIG.SNAPSHOT_URL);
+
+/**
+ * スナップショットを生成して保存
+ * 取得に失敗した場合は既存のファイルを上書きしない
+ * @returns {Promise<void>}
+ */
+const buildSnapshot = async () => {
+    const basicOnly = process.argv.includes('--basic');
+
+    const accounts = githubApi.getAccounts().map(account => account.login);
+    console.log(`スナップショット生成: ${accounts.join(', ')} のリポジトリを取得中...`);
+    const repos = await githubApi.fetchRepositories();
+    const pinnedRepos = await githubApi.getPinnedRepositories();
+    const projects = githubApi.processRepositories(repos, pinnedRepos);
+
+    if (!basicOnly) {
+        await githubApi.verifyDemos(projects);
+        await githubApi.attachLanguages(projects);
+        await githubApi.attachReleases(projects);
+        await githubApi.attachReadmeStatus(projects);
+        // デモ検証・READMEの有無を並び順に反映
+        projects.sort((a, b) => projectRanker.compare(a, b));
+    }
+
+    const snapshot = {
+        generatedAt: new Date().toISOString(),
+        username: GITHUB_CONFIG.USERNAME,
+        accounts,
+        projects
+    };
+
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, `${JSON.stringify(snapshot, null, 2)}\n`);
+
+    console.log(`スナップショット生成: ${projects.length}件を ${path.relative(process.cwd(), OUTPUT_PATH)} に保存しました`);
+};
+
+buildSnapshot().catch(error => {
+    console.error('スナップショット生成に失敗しました:', error);
+    process.exitCode = 1;
+});
\ No newline at end of file
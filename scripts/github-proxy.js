@@ -0,0 +1,501 @@
+/**
+ * GitHub APIのローカルプロキシ
+ * GitHubApiClient が使用するRESTのパスとGraphQLを中継し、
+ * 環境変数のトークンを付与してレスポンスをディスクにキャッシュする（CORSヘッダー付き）。
+ * GITHUB_CONFIG.API_BASE_URL をこのプロキシに向けると、未認証時の60回/時の制限を避けられる。
+ *
+ * 使い方（Node.js 18以上）:
+ *   GITHUB_TOKEN=xxx node scripts/github-proxy.js            # GitHub APIへ中継
+ *   GITHUB_TOKEN=xxx node scripts/github-proxy.js --record   # 中継したレスポンスをフィクスチャとして保存
+ *   node scripts/github-proxy.js --fixtures                  # 記録済みのフィクスチャのみで応答（通信なし）
+ *
+ * 環境変数:
+ *   GITHUB_TOKEN          GitHubのトークン（クライアントには送信しない）
+ *   PROXY_PORT            待ち受けポート（既定: 8787）
+ *   PROXY_ALLOWED_ORIGIN  CORSで許可するオリジン（カンマ区切り、既定: http://localhost:8000,http://127.0.0.1:8000）
+ *   PROXY_CACHE_TTL       キャッシュの有効期間（ミリ秒、既定: 10分）
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// プロキシ設定
+const PROXY_CONFIG = {
+    HOST: '127.0.0.1',
+    PORT: Number(process.env.PROXY_PORT) || 8787,
+    UPSTREAM_URL: 'https://api.github.com',
+    // ローカルで配信したサイトのオリジン（'*' を指定するとすべて許可）
+    ALLOWED_ORIGINS: (process.env.PROXY_ALLOWED_ORIGIN || 'http://localhost:8000,http://127.0.0.1:8000')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean),
+    CACHE_DIR: path.join(ROOT_DIR, '.cache', 'github-proxy'),
+    CACHE_TTL: Number(process.env.PROXY_CACHE_TTL) || 600000, // 10分。経過後は条件付きリクエストで再検証
+    FIXTURES_DIR: path.join(ROOT_DIR, 'fixtures', 'github'),
+    UPSTREAM_TIMEOUT: 15000,
+    MAX_BODY_SIZE: 100000, // GraphQLのリクエスト本文の上限（バイト）
+    // 中継するパス（トークン付きの任意のAPI呼び出しに使われないよう、クライアントが使うものに限定する）
+    ALLOWED_PATHS: [
+        /^\/users\/[\w.-]+\/repos$/,
+        /^\/orgs\/[\w.-]+\/repos$/,
+        /^\/users\/[\w.-]+\/events\/public$/,
+        /^\/repos\/[\w.-]+\/[\w.-]+\/(languages|readme|releases|pages|stats\/commit_activity)$/
+    ],
+    GRAPHQL_PATH: '/graphql',
+    // 中継するGraphQLクエリ（GitHubApiClient.getPinnedRepositories と同じもの。ミューテーション等は中継しない）
+    GRAPHQL_QUERIES: [
+        `query($login: String!, $first: Int!) {
+            user(login: $login) {
+                pinnedItems(first: $first, types: REPOSITORY) {
+                    nodes { ... on Repository { nameWithOwner } }
+                }
+            }
+        }`
+    ],
+    // クライアントへ返すレスポンスヘッダー
+    FORWARDED_HEADERS: [
+        'content-type',
+        'etag',
+        'last-modified',
+        'link',
+        'retry-after',
+        'x-ratelimit-limit',
+        'x-ratelimit-remaining',
+        'x-ratelimit-reset'
+    ]
+};
+
+const MODE = {
+    fixtures: process.argv.includes('--fixtures'),
+    record: process.argv.includes('--record')
+};
+
+/**
+ * 中継対象のリクエストかどうか判定
+ * @param {string} method - HTTPメソッド
+ * @param {string} pathname - リクエストのパス
+ * @returns {boolean} 中継対象かどうか
+ */
+const isAllowedRequest = (method, pathname) => {
+    if (pathname === PROXY_CONFIG.GRAPHQL_PATH) return method === 'POST';
+    return method === 'GET' && PROXY_CONFIG.ALLOWED_PATHS.some(pattern => pattern.test(pathname));
+};
+
+/**
+ * GraphQLクエリの空白を正規化（インデントの違いを無視して比較するため）
+ * @param {string} query - GraphQLクエリ
+ * @returns {string} 正規化したクエリ
+ */
+const normalizeQuery = (query) => query.replace(/\s+/g, ' ').trim();
+
+/**
+ * 中継対象のGraphQLリクエストかどうか判定
+ * サイトが送信するピン留めリポジトリのクエリのみ許可する
+ * @param {string} body - リクエスト本文
+ * @returns {boolean} 中継対象かどうか
+ */
+const isAllowedGraphQLBody = (body) => {
+    let request;
+    try {
+        request = JSON.parse(body);
+    } catch (error) {
+        return false;
+    }
+    if (!request || typeof request.query !== 'string') return false;
+
+    const query = normalizeQuery(request.query);
+    if (!PROXY_CONFIG.GRAPHQL_QUERIES.some(allowed => normalizeQuery(allowed) === query)) return false;
+
+    const variables = request.variables || {};
+    return typeof variables.login === 'string' &&
+        /^[\w-]+$/.test(variables.login) &&
+        Number.isInteger(variables.first) &&
+        variables.first > 0 &&
+        variables.first <= 100;
+};
+
+/**
+ * Hostヘッダーがこのプロキシ自身（localhost・127.0.0.1 の待ち受けポート）を指すか判定
+ * 別のドメイン名を 127.0.0.1 に向ける DNS rebinding で、他のサイトから同一オリジンとして呼び出させない
+ * @param {string|undefined} host - Hostヘッダー
+ * @returns {boolean} 許可しているかどうか
+ */
+const isAllowedHost = (host) => {
+    return [`localhost:${PROXY_CONFIG.PORT}`, `127.0.0.1:${PROXY_CONFIG.PORT}`].includes(String(host).toLowerCase());
+};
+
+/**
+ * リクエスト元のオリジンを許可しているか判定
+ * Originヘッダーのないリクエスト（スクリプト・curl等）は許可する（Hostヘッダーは isAllowedHost() で確認する）
+ * @param {string|undefined} origin - Originヘッダー
+ * @returns {boolean} 許可しているかどうか
+ */
+const isAllowedOrigin = (origin) => {
+    if (!origin) return true;
+    return PROXY_CONFIG.ALLOWED_ORIGINS.includes('*') || PROXY_CONFIG.ALLOWED_ORIGINS.includes(origin);
+};
+
+/**
+ * リクエストに対応するフィクスチャのファイルパスを取得
+ * 例: /repos/purplehoge/app/readme → fixtures/github/repos/purplehoge/app/readme.json
+ *     2ページ目以降は readme.page-2.json のようにページ番号を付ける
+ * @param {URL} url - リクエストURL
+ * @returns {string} フィクスチャのファイルパス
+ */
+const getFixturePath = (url) => {
+    const page = url.searchParams.get('page');
+    const suffix = page && page !== '1' ? `.page-${page}` : '';
+    return path.join(PROXY_CONFIG.FIXTURES_DIR, `${url.pathname.replace(/^\//, '')}${suffix}.json`);
+};
+
+/**
+ * キャッシュのファイルパスを取得（メソッド・パス・クエリ・本文ごと）
+ * @param {string} method - HTTPメソッド
+ * @param {URL} url - リクエストURL
+ * @param {string} body - リクエスト本文
+ * @returns {string} キャッシュのファイルパス
+ */
+const getCachePath = (method, url, body) => {
+    const hash = crypto.createHash('sha1')
+        .update(`${method} ${url.pathname}${url.search}\n${body}`)
+        .digest('hex');
+    return path.join(PROXY_CONFIG.CACHE_DIR, `${hash}.json`);
+};
+
+/**
+ * JSONファイルを読み込む（存在しない・壊れている場合はnull）
+ * @param {string} filePath - ファイルパス
+ * @returns {Object|null} 読み込んだ内容
+ */
+const readJsonFile = (filePath) => {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`プロキシ: ${path.relative(ROOT_DIR, filePath)} を読み込めませんでした`, error.message);
+        }
+        return null;
+    }
+};
+
+/**
+ * JSONファイルを書き込む
+ * @param {string} filePath - ファイルパス
+ * @param {Object} data - 書き込む内容
+ * @returns {void}
+ */
+const writeJsonFile = (filePath, data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+};
+
+/**
+ * リクエスト本文を読み込む
+ * @param {http.IncomingMessage} req - リクエスト
+ * @returns {Promise<string>} 本文
+ */
+const readRequestBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > PROXY_CONFIG.MAX_BODY_SIZE) {
+            reject(Object.assign(new Error('リクエスト本文が大きすぎます'), { status: 413 }));
+            req.destroy();
+        }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+});
+
+/**
+ * GitHub APIへリクエストを送信し、保存できる形に変換
+ * @param {string} method - HTTPメソッド
+ * @param {URL} url - プロキシへのリクエストURL
+ * @param {Object} requestHeaders - クライアントのリクエストヘッダー
+ * @param {string} body - リクエスト本文
+ * @param {Object|null} cached - 再検証に使うキャッシュ
+ * @returns {Promise<{status: number, headers: Object, body: any}>} レスポンス
+ */
+const fetchUpstream = async (method, url, requestHeaders, body, cached) => {
+    const headers = {
+        'Accept': requestHeaders.accept || 'application/vnd.github.v3+json',
+        'User-Agent': 'Portfolio-Site-Proxy/1.0'
+    };
+    if (process.env.GITHUB_TOKEN) {
+        headers['Authorization'] = `bearer ${process.env.GITHUB_TOKEN}`;
+    }
+    if (method === 'POST') {
+        headers['Content-Type'] = 'application/json';
+    }
+    // トークン付きの304はレート制限を消費しない
+    if (cached && cached.headers.etag) {
+        headers['If-None-Match'] = cached.headers.etag;
+    }
+
+    const response = await fetch(`${PROXY_CONFIG.UPSTREAM_URL}${url.pathname}${url.search}`, {
+        method,
+        headers,
+        body: method === 'POST' ? body : undefined,
+        signal: AbortSignal.timeout(PROXY_CONFIG.UPSTREAM_TIMEOUT)
+    });
+
+    const text = await response.text();
+    const responseHeaders = {};
+    PROXY_CONFIG.FORWARDED_HEADERS.forEach(name => {
+        const value = response.headers.get(name);
+        if (value !== null) responseHeaders[name] = value;
+    });
+
+    let responseBody = null;
+    try {
+        responseBody = text ? JSON.parse(text) : null;
+    } catch (error) {
+        responseBody = { message: text };
+    }
+
+    return { status: response.status, headers: responseHeaders, body: responseBody };
+};
+
+/**
+ * レスポンスをキャッシュしてよいか判定
+ * 202（統計の集計中）やエラーは保存しない
+ * @param {Object} entry - レスポンス
+ * @returns {boolean} 保存してよいかどうか
+ */
+const isCacheable = (entry) => {
+    if (entry.status !== 200) return false;
+    // GraphQLはエラーでも200を返すため本文で判定する
+    return !(entry.body && entry.body.errors);
+};
+
+/**
+ * フィクスチャとして記録してよいか判定
+ * 404（READMEなし等）は記録し、一時的な障害・レート制限は記録しない
+ * @param {Object} entry - レスポンス
+ * @returns {boolean} 記録してよいかどうか
+ */
+const isRecordable = (entry) => {
+    return isCacheable(entry) || entry.status === 404;
+};
+
+/**
+ * 保存用にレート制限ヘッダーを除く
+ * キャッシュから応答する際に古い残り回数をクライアントへ返さないため
+ * @param {Object} entry - レスポンス
+ * @returns {{status: number, headers: Object, body: any}} 保存するレスポンス
+ */
+const toStoredEntry = (entry) => {
+    const headers = { ...entry.headers };
+    Object.keys(headers)
+        .filter(name => name.startsWith('x-ratelimit-'))
+        .forEach(name => delete headers[name]);
+    return { status: entry.status, headers, body: entry.body };
+};
+
+/**
+ * GitHub APIを中継（ディスクキャッシュ・記録を含む）
+ * @param {string} method - HTTPメソッド
+ * @param {URL} url - プロキシへのリクエストURL
+ * @param {Object} requestHeaders - クライアントのリクエストヘッダー
+ * @param {string} body - リクエスト本文
+ * @returns {Promise<{status: number, headers: Object, body: any, source: string}>} レスポンスと取得元
+ */
+const proxyRequest = async (method, url, requestHeaders, body) => {
+    if (MODE.fixtures) {
+        const fixture = readJsonFile(getFixturePath(url));
+        if (!fixture) {
+            return {
+                status: 404,
+                headers: {},
+                body: { message: `フィクスチャがありません: ${url.pathname}` },
+                source: 'FIXTURE-MISSING'
+            };
+        }
+        return { status: 200, headers: {}, ...fixture, source: 'FIXTURE' };
+    }
+
+    const cachePath = getCachePath(method, url, body);
+    const cached = readJsonFile(cachePath);
+
+    if (cached && Date.now() - cached.cachedAt < PROXY_CONFIG.CACHE_TTL) {
+        return { ...cached, source: 'HIT' };
+    }
+
+    let entry;
+    try {
+        entry = await fetchUpstream(method, url, requestHeaders, body, cached);
+    } catch (error) {
+        if (cached) {
+            console.warn(`プロキシ: 通信に失敗したため期限切れのキャッシュを使用 (${url.pathname})`, error.message);
+            return { ...cached, source: 'STALE' };
+        }
+        throw Object.assign(new Error(`GitHub APIに接続できません: ${error.message}`), { status: 502 });
+    }
+
+    if (entry.status === 304 && cached) {
+        cached.cachedAt = Date.now();
+        writeJsonFile(cachePath, cached);
+        // レート制限の残り回数は最新の値を返す
+        return { ...cached, headers: { ...cached.headers, ...entry.headers }, source: 'REVALIDATED' };
+    }
+
+    // 一時的な障害・レート制限の間は期限切れのキャッシュで応答する
+    if (cached && (entry.status >= 500 || entry.status === 403 || entry.status === 429)) {
+        console.warn(`プロキシ: ${entry.status}のため期限切れのキャッシュを使用 (${url.pathname})`);
+        return { ...cached, source: 'STALE' };
+    }
+
+    if (isCacheable(entry)) {
+        writeJsonFile(cachePath, { ...toStoredEntry(entry), cachedAt: Date.now() });
+    }
+    if (MODE.record && isRecordable(entry)) {
+        writeJsonFile(getFixturePath(url), toStoredEntry(entry));
+        console.log(`プロキシ: フィクスチャを記録 ${path.relative(ROOT_DIR, getFixturePath(url))}`);
+    }
+
+    return { ...entry, source: 'MISS' };
+};
+
+/**
+ * CORSヘッダーを取得
+ * 許可したオリジンのみを Access-Control-Allow-Origin に返す
+ * @param {string|undefined} origin - Originヘッダー
+ * @returns {Object} CORSヘッダー
+ */
+const getCorsHeaders = (origin) => ({
+    ...(origin && isAllowedOrigin(origin) ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' } : {}),
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Accept, Content-Type, If-None-Match, If-Modified-Since, User-Agent',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified, Link, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Proxy-Cache',
+    'Access-Control-Max-Age': '600'
+});
+
+/**
+ * LinkヘッダーのURLをプロキシ経由に書き換える
+ * クライアントはLinkヘッダーの次ページURLをそのまま使うため
+ * @param {string} link - Linkヘッダー
+ * @param {string} proxyOrigin - プロキシのオリジン
+ * @returns {string} 書き換えたLinkヘッダー
+ */
+const rewriteLinkHeader = (link, proxyOrigin) => {
+    return link.split(PROXY_CONFIG.UPSTREAM_URL).join(proxyOrigin);
+};
+
+/**
+ * JSONレスポンスを送信
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {string|undefined} origin - Originヘッダー
+ * @param {number} status - ステータスコード
+ * @param {Object} headers - 追加のヘッダー
+ * @param {any} body - 本文（nullの場合は本文なし）
+ * @returns {void}
+ */
+const sendJson = (res, origin, status, headers, body) => {
+    res.writeHead(status, {
+        ...getCorsHeaders(origin),
+        'Content-Type': 'application/json; charset=utf-8',
+        ...headers
+    });
+    res.end(body === null || status === 304 ? undefined : JSON.stringify(body));
+};
+
+/**
+ * リクエストを処理
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {http.ServerResponse} res - レスポンス
+ * @returns {Promise<void>}
+ */
+const handleRequest = async (req, res) => {
+    const { host, origin } = req.headers;
+
+    if (!isAllowedHost(host)) {
+        sendJson(res, origin, 403, {}, { message: `許可されていないHostです: ${host}` });
+        return;
+    }
+
+    const proxyOrigin = `http://${host}`;
+    const url = new URL(req.url, proxyOrigin);
+
+    // トークン付きのAPIを他のサイトから呼び出させない
+    if (!isAllowedOrigin(origin)) {
+        sendJson(res, origin, 403, {}, { message: `許可されていないオリジンです: ${origin}` });
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, getCorsHeaders(origin));
+        res.end();
+        return;
+    }
+
+    if (!isAllowedRequest(req.method, url.pathname)) {
+        sendJson(res, origin, 404, {}, { message: `中継対象外のリクエストです: ${req.method} ${url.pathname}` });
+        return;
+    }
+
+    try {
+        const body = req.method === 'POST' ? await readRequestBody(req) : '';
+        if (url.pathname === PROXY_CONFIG.GRAPHQL_PATH && !isAllowedGraphQLBody(body)) {
+            sendJson(res, origin, 403, {}, { message: '中継対象外のGraphQLリクエストです（ピン留めリポジトリのクエリのみ中継します）' });
+            return;
+        }
+
+        const entry = await proxyRequest(req.method, url, req.headers, body);
+        const headers = { ...entry.headers, 'X-Proxy-Cache': entry.source };
+        if (headers.link) {
+            headers.link = rewriteLinkHeader(headers.link, proxyOrigin);
+        }
+
+        // クライアントの条件付きリクエストにも応答する
+        const notModified = entry.status === 200 && headers.etag && req.headers['if-none-match'] === headers.etag;
+        console.log(`プロキシ: ${req.method} ${url.pathname}${url.search} → ${notModified ? 304 : entry.status} (${entry.source})`);
+        sendJson(res, origin, notModified ? 304 : entry.status, headers, entry.body);
+    } catch (error) {
+        console.error(`プロキシ: ${req.method} ${url.pathname} の中継に失敗しました`, error.message);
+        sendJson(res, origin, error.status || 500, {}, { message: error.message });
+    }
+};
+
+/**
+ * プロキシサーバーを起動
+ * @returns {http.Server} 起動したサーバー
+ */
+const startProxy = () => {
+    if (MODE.fixtures && MODE.record) {
+        throw new Error('--fixtures と --record は同時に指定できません');
+    }
+    if (!MODE.fixtures && !process.env.GITHUB_TOKEN) {
+        console.warn('プロキシ: GITHUB_TOKEN が未設定のため未認証で中継します（60回/時の制限・GraphQLは利用不可）');
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res);
+    });
+
+    server.listen(PROXY_CONFIG.PORT, PROXY_CONFIG.HOST, () => {
+        const mode = MODE.fixtures ? 'フィクスチャ' : MODE.record ? '中継・記録' : '中継';
+        console.log(`GitHub APIプロキシ (${mode}): http://${PROXY_CONFIG.HOST}:${PROXY_CONFIG.PORT}`);
+    });
+
+    return server;
+};
+
+if (require.main === module) {
+    try {
+        startProxy();
+    } catch (error) {
+        console.error('プロキシの起動に失敗しました:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    PROXY_CONFIG,
+    startProxy,
+    getFixturePath
+};
\ No newline at end of file
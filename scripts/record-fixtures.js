@@ -0,0 +1,103 @@
+/**
+ * GitHub APIのフィクスチャ記録スクリプト
+ * GitHubApiClient を記録モードで動かし、サイトが使用するレスポンスを fixtures/github/ に保存する。
+ * 記録したフィクスチャはブラウザの ?fixtures と scripts/github-proxy.js --fixtures で再生できる。
+ *
+ * 使い方（Node.js 18以上）:
+ *   node scripts/record-fixtures.js                               # GitHub APIから記録
+ *   node scripts/record-fixtures.js --from github-fixtures.json   # ブラウザの記録モード（?fixtures=record）で保存したファイルを展開
+ *
+ * 環境変数 GITHUB_TOKEN・GITHUB_API_BASE_URL は scripts/build-snapshot.js と同じ。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ブラウザではグローバルに読み込まれる依存を用意
+global.logger = require('../js/logger.js').logger;
+const { ErrorHandler } = require('../js/utils.js');
+global.ErrorHandler = ErrorHandler;
+global.ApiCacheStore = require('../js/api-cache.js').ApiCacheStore;
+global.technologyTaxonomy = require('../js/technologies.js').technologyTaxonomy;
+global.RANKING_CONFIG = require('../js/ranking.js').RANKING_CONFIG;
+global.projectRanker = require('../js/ranking.js').projectRanker;
+global.PROJECT_OVERRIDES = require('../js/project-overrides.js').PROJECT_OVERRIDES;
+
+const { githubApi, GITHUB_CONFIG } = require('../js/github-api.js');
+
+// トークンは記録時のみ使用し、フィクスチャには含めない
+if (process.env.GITHUB_TOKEN) {
+    GITHUB_CONFIG.GRAPHQL_TOKEN = process.env.GITHUB_TOKEN;
+}
+if (process.env.GITHUB_API_BASE_URL) {
+    GITHUB_CONFIG.API_BASE_URL = process.env.GITHUB_API_BASE_URL.replace(/\/$/, '');
+}
+
+const FIXTURES_DIR = path.join(__dirname, '..', GITHUB_CONFIG.FIXTURES_URL);
+
+/**
+ * サイトの読み込みと同じ順序でAPIを呼び出し、レスポンスを記録
+ * @returns {Promise<Object>} フィクスチャのパスとレスポンス
+ */
+const recordFromApi = async () => {
+    githubApi.setFixtureMode('record');
+
+    const repos = await githubApi.fetchRepositories();
+    const pinnedRepos = await githubApi.getPinnedRepositories();
+    const projects = githubApi.processRepositories(repos, pinnedRepos);
+
+    await githubApi.verifyDemos(projects);
+    await githubApi.attachLanguages(projects);
+    await githubApi.attachReleases(projects);
+    await githubApi.attachReadmeStatus(projects);
+    await githubApi.getActivity(projects);
+
+    return githubApi.exportFixtures();
+};
+
+/**
+ * フィクスチャをファイルに保存
+ * @param {Object} fixtures - フィクスチャのパスとレスポンス
+ * @returns {number} 保存した件数
+ */
+const writeFixtures = (fixtures) => {
+    const entries = Object.entries(fixtures);
+
+    entries.forEach(([fixturePath, fixture]) => {
+        const filePath = path.join(FIXTURES_DIR, `${fixturePath}.json`);
+        // 展開先のディレクトリ外に書き込まないようにする
+        if (!filePath.startsWith(FIXTURES_DIR + path.sep)) {
+            throw new Error(`不正なフィクスチャのパスです: ${fixturePath}`);
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, `${JSON.stringify(fixture, null, 2)}\n`);
+    });
+
+    return entries.length;
+};
+
+/**
+ * フィクスチャを記録して保存
+ * @returns {Promise<void>}
+ */
+const recordFixtures = async () => {
+    const fromIndex = process.argv.indexOf('--from');
+    const bundlePath = fromIndex !== -1 ? process.argv[fromIndex + 1] : null;
+
+    let fixtures;
+    if (bundlePath) {
+        console.log(`フィクスチャ記録: ${bundlePath} を展開中...`);
+        fixtures = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+    } else {
+        console.log(`フィクスチャ記録: ${GITHUB_CONFIG.API_BASE_URL} から取得中...`);
+        fixtures = await recordFromApi();
+    }
+
+    const count = writeFixtures(fixtures);
+    console.log(`フィクスチャ記録: ${count}件を ${path.relative(process.cwd(), FIXTURES_DIR)} に保存しました`);
+};
+
+recordFixtures().catch(error => {
+    console.error('フィクスチャの記録に失敗しました:', error);
+    process.exitCode = 1;
+});
\ No newline at end of file